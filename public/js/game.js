@@ -7,7 +7,9 @@
 let stations = [];
 let trains = [];
 let tracks = []; // New: Explicit tracks for branching
+let signals = []; // Block signal aspects per track, owned by the server
 let events = [];
+let balance = null; // Treasury, owned by the server ledger
 let simulationInterval = null;
 let followingTrainId = null;
 
@@ -21,7 +23,7 @@ let lastMouseY = 0;
 let targetViewX = 0;
 let targetViewY = 0;
 
-// Constants - REALISTIC PHYSICS
+// Constants - REALISTIC PHYSICS (must match server/simulation.js)
 const PIXELS_PER_KM = 4;
 const SIMULATION_SPEED = 120;
 const TICK_RATE = 50; 
@@ -33,6 +35,7 @@ const commsFeed = document.getElementById('comms-feed');
 const trainStatusEl = document.getElementById('train-status');
 const stationCountEl = document.getElementById('station-count');
 const trainCountEl = document.getElementById('train-count');
+const budgetEl = document.getElementById('budget');
 const expandBtn = document.getElementById('expand-btn');
 const viewCoordsEl = document.getElementById('view-coords');
 const viewZoomEl = document.getElementById('view-zoom');
@@ -58,10 +61,9 @@ async function init() {
   targetViewY = viewY;
   
   startSimulation();
-  startAutoDispatch();
   setupEventListeners();
   
-  setInterval(fetchState, 5000);
+  connectStream();
   setInterval(updateUTCClock, 1000);
   updateUTCClock();
   
@@ -176,29 +178,86 @@ function animate() {
 async function fetchState() {
   try {
     const res = await fetch('/api/state');
-    const data = await res.json();
-    
-    // Protect local movement: Keep local x,y for trains that are currently moving
-    data.trains.forEach(newTrain => {
-      const localTrain = trains.find(t => t.id === newTrain.id);
-      if (localTrain && localTrain.status === 'moving' && newTrain.status === 'moving') {
-        newTrain.x = localTrain.x;
-        newTrain.y = localTrain.y;
-      }
+    applySnapshot(await res.json());
+  } catch (err) {
+    console.error('Failed to fetch state:', err);
+  }
+}
+
+// Server is authoritative for positions; local ticks only interpolate between updates
+function applySnapshot(data) {
+  stations = data.stations;
+  trains = data.trains;
+  tracks = data.tracks;
+  signals = data.signals || [];
+  balance = data.balance ?? null;
+  events = data.events;
+  
+  updateHeaderStats();
+  renderCommsFeed();
+  renderLogBook();
+  render(); 
+}
+
+// ============== LIVE STREAM ==============
+
+function connectStream() {
+  if (!window.EventSource) {
+    setInterval(fetchState, 5000); // Legacy fallback: poll the full state
+    return;
+  }
+  // EventSource reconnects on its own; the server opens every connection with a snapshot
+  const stream = new EventSource('/api/stream');
+  stream.addEventListener('snapshot', (e) => applySnapshot(JSON.parse(e.data)));
+  stream.addEventListener('diff', (e) => applyDiff(JSON.parse(e.data)));
+}
+
+/**
+ * Applies an incremental update without a full render().
+ * Only structural edits (moved, renamed or removed stations/tracks) fall back to redrawing the map.
+ */
+function applyDiff(diff) {
+  const isStructural = diff.removed.stations.length > 0 || diff.removed.tracks.length > 0 ||
+    diff.stations.some(s => stations.some(existing => existing.id === s.id));
+
+  diff.trains.forEach(train => upsertById(trains, train));
+  trains = trains.filter(t => !diff.removed.trains.includes(t.id));
+  diff.signals.forEach(signal => upsertById(signals, signal));
+  signals = signals.filter(s => !diff.removed.tracks.includes(s.id));
+
+  if (isStructural) {
+    diff.stations.forEach(station => upsertById(stations, station));
+    diff.tracks.forEach(track => upsertById(tracks, track));
+    stations = stations.filter(s => !diff.removed.stations.includes(s.id));
+    tracks = tracks.filter(t => !diff.removed.tracks.includes(t.id));
+    render();
+  } else {
+    const stationLayer = document.getElementById('station-layer');
+    diff.stations.forEach(station => {
+      stations.push(station);
+      if (stationLayer) drawStation(station, stationLayer);
     });
+    diff.tracks.forEach(track => upsertById(tracks, track));
+    if (diff.tracks.length > 0) renderTracks();
+  }
 
-    stations = data.stations;
-    trains = data.trains;
-    tracks = data.tracks;
-    events = data.events;
-    
-    updateHeaderStats();
+  if (diff.balance !== undefined) balance = diff.balance;
+
+  if (diff.events.length > 0) {
+    const known = new Set(events.map(e => e.id));
+    const fresh = diff.events.filter(e => !known.has(e.id));
+    events = fresh.concat(events).slice(0, 30); // Newest first, same window as /api/state
     renderCommsFeed();
     renderLogBook();
-    render(); 
-  } catch (err) {
-    console.error('Failed to fetch state:', err);
   }
+
+  updateHeaderStats();
+}
+
+function upsertById(list, item) {
+  const i = list.findIndex(existing => existing.id === item.id);
+  if (i === -1) list.push(item);
+  else list[i] = item;
 }
 
 // ============== RENDERING ==============
@@ -210,19 +269,35 @@ function render() {
   viewport.id = 'viewport';
   canvas.appendChild(viewport);
   
-  // Render explicit tracks (Branching Support)
+  // Layers keep tracks beneath stations when diffs append to them
+  const trackLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  trackLayer.id = 'track-layer';
+  const stationLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  stationLayer.id = 'station-layer';
+  viewport.appendChild(trackLayer);
+  viewport.appendChild(stationLayer);
+  
+  renderTracks();
+  stations.forEach(station => drawStation(station, stationLayer));
+  
+  updateTransform();
+  renderTrainStatus();
+}
+
+// Render explicit tracks (Branching Support)
+// Redrawn as a whole because a new track can turn either end into a signalled junction
+function renderTracks() {
+  const trackLayer = document.getElementById('track-layer');
+  if (!trackLayer) return;
+  trackLayer.innerHTML = '';
+  
   tracks.forEach(track => {
     const stationA = stations.find(s => s.id === track.station_a_id);
     const stationB = stations.find(s => s.id === track.station_b_id);
     if (stationA && stationB) {
-      drawTrack(stationA, stationB, viewport);
+      drawTrack(stationA, stationB, trackLayer, track);
     }
   });
-  
-  stations.forEach(station => drawStation(station, viewport));
-  
-  updateTransform();
-  renderTrainStatus();
 }
 
 function renderDynamicElements() {
@@ -233,30 +308,15 @@ function renderDynamicElements() {
   existingTrains.forEach(t => t.remove());
   
   trains.forEach(train => drawTrain(train, viewport));
-  
-  // UTC-BASED SCHEDULING (Check every hour transition)
-  checkUTCSchedule();
-}
-
-let lastExpansionHour = -1;
-function checkUTCSchedule() {
-  if (!autoExpandInterval) return; // Only if AUTO is ON
-  
-  const now = new Date();
-  const currentHour = now.getUTCHours();
-  
-  // Trigger on EVEN hours (0, 2, 4...) and only once per hour
-  if (currentHour % 2 === 0 && currentHour !== lastExpansionHour) {
-    console.log(`🕒 UTC SCHEDULER: Triggering expansion for Hour ${currentHour}:00`);
-    lastExpansionHour = currentHour;
-    triggerAIExpansion();
-  }
+  updateSignals();
 }
 
 function drawStation(station, parent) {
   const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
   g.classList.add('station-node');
-  g.onclick = () => dispatchTrainTo(station.id);
+  g.onclick = () => { if (!editMode) dispatchTrainTo(station.id); };
+  g.addEventListener('mousedown', (e) => startStationDrag(e, station.id));
+  g.addEventListener('contextmenu', (e) => openStationMenu(e, station.id));
   
   const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
   circle.setAttribute('cx', station.x);
@@ -347,11 +407,10 @@ function renderCommsFeed() {
       entry.classList.add('thought');
     }
     
+    // Messages carry operator- and AI-written text: always render them as text, never as HTML
     const time = new Date(event.timestamp).toLocaleTimeString();
-    entry.innerHTML = `
-      <div class="comms-time">[${time}]</div>
-      <div class="comms-message">${event.message}</div>
-    `;
+    entry.appendChild(el('div', 'comms-time', `[${time}]`));
+    entry.appendChild(el('div', 'comms-message', event.message));
     commsFeed.appendChild(entry);
   });
 }
@@ -362,25 +421,35 @@ function renderTrainStatus() {
   trains.forEach(train => {
     const card = document.createElement('div');
     card.classList.add('train-card');
-    let statusInfo = '';
+    // Train and station names can be set through the API, so the card is built from text nodes
+    card.appendChild(el('h3', null, train.name));
+    const stat = (label, value, className = 'stat') => {
+      const line = el('div', className);
+      line.append(el('strong', null, label), ` ${value}`);
+      card.appendChild(line);
+    };
     if (train.status === 'moving' && train.target_station_id) {
-      const target = stations.find(s => s.id === train.target_station_id);
+      const target = stations.find(s => s.id === (train.destination_station_id || train.target_station_id));
+      const next = stations.find(s => s.id === train.target_station_id);
       const source = stations.find(s => s.id === train.current_station_id);
       if (target && source) {
-        const totalDist = Math.sqrt(Math.pow(target.x - source.x, 2) + Math.pow(target.y - source.y, 2)) / PIXELS_PER_KM;
-        statusInfo = `<div class="stat"><strong>ROUTE:</strong> ${source.name} → ${target.name}</div>
-                      <div class="stat highlight-speed"><strong>⚡ SPEED:</strong> ${train.speed_kmh} KM/H</div>`;
+        const via = next && next.id !== target.id ? ` (via ${next.name})` : '';
+        stat('ROUTE:', `${source.name} → ${target.name}${via}`);
+        stat('⚡ SPEED:', `${train.speed_kmh} KM/H`, 'stat highlight-speed');
+        stat('LOAD:', `${train.passengers || 0}/${train.capacity} PAX`);
       }
+    } else if (train.status === 'waiting') {
+      const currentStation = stations.find(s => s.id === train.current_station_id);
+      stat('STATUS:', `🚦 HELD at ${currentStation?.name || 'Unknown'} (red signal)`);
     } else {
       const currentStation = stations.find(s => s.id === train.current_station_id);
-      statusInfo = `<div class="stat"><strong>STATUS:</strong> IDLE at ${currentStation?.name || 'Unknown'}</div>`;
+      stat('STATUS:', `IDLE at ${currentStation?.name || 'Unknown'}`);
     }
-    card.innerHTML = `<h3>${train.name}</h3>${statusInfo}`;
     
     // VIP FEATURE: Ride Train Button
     const rideBtn = document.createElement('button');
     rideBtn.className = 'ride-btn';
-    rideBtn.innerHTML = '👁️ RIDE';
+    rideBtn.textContent = '👁️ RIDE';
     rideBtn.onclick = () => rideTrain(train.id);
     card.appendChild(rideBtn);
     trainStatusEl.appendChild(card);
@@ -390,6 +459,20 @@ function renderTrainStatus() {
 function updateHeaderStats() {
   if (stationCountEl) stationCountEl.textContent = `Stations: ${stations.length}`;
   if (trainCountEl) trainCountEl.textContent = `Trains: ${trains.length}`;
+  if (budgetEl && balance !== null) budgetEl.textContent = `Budget: ${formatMoney(balance)}`;
+}
+
+// Failed API calls answer { error: { code, message } }
+function apiErrorMessage(data, status) {
+  return data?.error?.message || `Request failed (${status})`;
+}
+
+function formatMoney(amount) {
+  const sign = amount < 0 ? '-' : '';
+  const abs = Math.abs(amount);
+  if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(1)}K`;
+  return `${sign}$${abs.toFixed(0)}`;
 }
 
 // ============== SIMULATION ==============
@@ -398,8 +481,8 @@ function startSimulation() {
   simulationInterval = setInterval(simulationTick, TICK_RATE);
 }
 
-async function simulationTick() {
-  let arrivals = false;
+// Interpolation only: arrivals are recorded by the server movement engine
+function simulationTick() {
   for (const train of trains) {
     if (train.status !== 'moving' || !train.target_station_id) continue;
     const target = stations.find(s => s.id === train.target_station_id);
@@ -414,25 +497,14 @@ async function simulationTick() {
     const distance = Math.sqrt(dx * dx + dy * dy);
 
     if (distance <= pixelsPerTick) {
+      // Hold at the platform until the server confirms the arrival
       train.x = target.x;
       train.y = target.y;
-      train.status = 'idle';
-      train.current_station_id = target.id;
-      train.target_station_id = null;
-      
-      // Update server WITHOUT awaiting (fire and forget for responsiveness)
-      fetch(`/api/train/${train.id}/update`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ x: train.x, y: train.y, status: 'idle', current_station_id: target.id })
-      });
-      arrivals = true;
     } else {
       train.x += (dx / distance) * pixelsPerTick;
       train.y += (dy / distance) * pixelsPerTick;
     }
   }
-  if (arrivals) fetchState();
 }
 
 async function dispatchTrainTo(stationId) {
@@ -457,43 +529,73 @@ async function dispatchTrainTo(stationId) {
       await fetchState();
     } else {
       const err = await res.json();
-      console.warn('Dispatch denied:', err.error);
+      console.warn('Dispatch denied:', apiErrorMessage(err, res.status));
     }
   } catch (err) {
     console.error('Dispatch failed:', err);
   }
 }
 
+// Expansion runs as a server-side job: the button shows its phase and cancels it while it runs
+const JOB_POLL_INTERVAL = 1000;
+const PHASE_LABELS = { planning: 'PLANNING', proposing: 'PROPOSING', verifying: 'VERIFYING', executing: 'BUILDING' };
+let expansionJobId = null;
+
 async function triggerAIExpansion() {
-  if (expandBtn && expandBtn.style.display !== 'none') {
-    expandBtn.disabled = true;
-    expandBtn.textContent = '🤖 EXPANDING...';
-  }
+  if (expansionJobId) return cancelAIExpansion();
   try {
     const res = await fetch('/api/expand', { method: 'POST' });
     const data = await res.json();
-    if (data.success) {
-      // Add a "DevOps" log locally for immediate feedback
-      events.unshift({
-        type: 'SYSTEM',
-        message: `🚀 Auto-Deploy: New station constructed. Optimizing routes...`,
-        timestamp: new Date().toISOString()
-      });
-      renderCommsFeed();
-      await fetchState();
-    }
+    // Refusals (no rights, full queue, rate limits) are worth telling; failed builds show in the feed
+    if (!res.ok) return alert(apiErrorMessage(data, res.status));
+    trackExpansionJob(data);
   } catch (err) { console.error('AI Expansion failed:', err); }
-  finally {
-    if (expandBtn) {
-      expandBtn.disabled = false;
-      expandBtn.textContent = '🤖 AI EXPAND';
-    }
+}
+
+async function cancelAIExpansion() {
+  if (!confirm('Cancel the AI expansion?')) return;
+  try {
+    const res = await fetch(`/api/expand/jobs/${expansionJobId}/cancel`, { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) return alert(apiErrorMessage(data, res.status));
+    trackExpansionJob(data);
+  } catch (err) { console.error('Cancel failed:', err); }
+}
+
+function expansionLabel(job) {
+  if (job.cancelRequested) return '🛑 CANCELLING...';
+  if (job.status === 'queued') return job.position > 1 ? `⏳ QUEUED (#${job.position}) ✕` : '⏳ QUEUED ✕';
+  const attempt = job.attempt ? ` ${job.attempt}/${job.maxAttempts}` : '';
+  return `🤖 ${PHASE_LABELS[job.phase] || 'STARTING'}${attempt}... ✕`;
+}
+
+function trackExpansionJob(job) {
+  const open = job.status === 'queued' || job.status === 'running';
+  const firstSight = expansionJobId !== job.id;
+  expansionJobId = open ? job.id : null;
+  if (expandBtn) {
+    expandBtn.textContent = open ? expansionLabel(job) : '🤖 AI EXPAND';
+    expandBtn.title = open ? 'Click to cancel' : '';
+  }
+  if (open) {
+    if (firstSight) setTimeout(() => pollExpansionJob(job.id), JOB_POLL_INTERVAL);
+    return;
   }
+  if (job.status === 'succeeded') fetchState();
 }
 
-// Auto-Development Logic
-let autoExpandInterval = null;
+async function pollExpansionJob(id) {
+  if (expansionJobId !== id) return;
+  try {
+    const res = await fetch(`/api/expand/jobs/${id}`);
+    // A reset removes the job
+    if (res.status === 404) return trackExpansionJob({ id, status: 'removed' });
+    if (res.ok) trackExpansionJob(await res.json());
+  } catch (err) { console.error('Expansion job poll failed:', err); }
+  if (expansionJobId === id) setTimeout(() => pollExpansionJob(id), JOB_POLL_INTERVAL);
+}
 
+// Auto-Development Logic (the server owns the schedule, see /api/settings)
 function setupAutoControls() {
   const autoBtn = document.getElementById('auto-btn');
   
@@ -503,11 +605,12 @@ function setupAutoControls() {
       const newState = !isCurrentlyActive;
       
       try {
-        await fetch('/api/settings', {
+        const res = await fetch('/api/settings', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ autoEnabled: newState })
         });
+        if (!res.ok) return alert(apiErrorMessage(await res.json(), res.status));
         
         updateAutoBtnUI(newState);
       } catch (err) { console.error('Failed to update auto settings:', err); }
@@ -531,7 +634,7 @@ function updateAutoBtnUI(isActive) {
 }
 
 // Draw Signal Lights on Tracks
-function drawTrack(stationA, stationB, parent) {
+function drawTrack(stationA, stationB, parent, track) {
   const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
   line.classList.add('track-line');
   line.setAttribute('x1', stationA.x);
@@ -543,6 +646,17 @@ function drawTrack(stationA, stationB, parent) {
   line.setAttribute('stroke-dasharray', '8 8');
   parent.appendChild(line);
 
+  // Wide invisible twin so the thin dashed line is easy to right-click in edit mode
+  if (track) {
+    const hit = line.cloneNode();
+    hit.classList.replace('track-line', 'track-hit');
+    hit.setAttribute('stroke', 'transparent');
+    hit.setAttribute('stroke-width', '16');
+    hit.removeAttribute('stroke-dasharray');
+    hit.addEventListener('contextmenu', (e) => openTrackMenu(e, track.id));
+    parent.appendChild(hit);
+  }
+
   // INTELLIGENT SIGNALING: Only show signals at junctions (3+ connections)
   const connA = tracks.filter(t => t.station_a_id === stationA.id || t.station_b_id === stationA.id).length;
   const connB = tracks.filter(t => t.station_a_id === stationB.id || t.station_b_id === stationB.id).length;
@@ -574,20 +688,16 @@ function drawTrack(stationA, stationB, parent) {
 
 /**
  * Robust Signaling System
- * Updates signal colors every frame based on train occupancy.
+ * Updates signal colors every frame from the server's block occupancy.
  */
 function updateSignals() {
-  tracks.forEach(track => {
-    const signalId = `signal-${track.station_a_id}-${track.station_b_id}`;
+  signals.forEach(signal => {
+    const signalId = `signal-${signal.station_a_id}-${signal.station_b_id}`;
     const light = document.getElementById(signalId);
     if (!light) return;
 
-    // A signal is RED if a train is currently moving on this specific track segment
-    const isOccupied = trains.some(t => 
-      (t.status === 'moving') && 
-      ((t.current_station_id === track.station_a_id && t.target_station_id === track.station_b_id) ||
-       (t.current_station_id === track.station_b_id && t.target_station_id === track.station_a_id))
-    );
+    // A signal is RED while any train occupies this block
+    const isOccupied = signal.aspect === 'red';
 
     const targetColor = isOccupied ? '#ff0000' : '#00ff00';
     if (light.getAttribute('fill') !== targetColor) {
@@ -724,32 +834,242 @@ setupEventListeners = function() {
   setupNavigationControls();
   setupAutoControls();
   setupHelpModal();
+  setupRunsModal();
+  setupAnalyticsModal();
+  setupMapEditor();
+  setupAuthControls();
 };
 
-// === VIP OPERATIONS: AUTO DISPATCH ===
-function startAutoDispatch() {
-  setInterval(() => {
-    // Find IDLE trains
-    trains.forEach(t => {
-      if (t.status === 'idle') {
-        // More robust logic: Find all connected stations via tracks
-        const connections = tracks.filter(tr => tr.station_a_id === t.current_station_id || tr.station_b_id === t.current_station_id);
-        const neighborIds = connections.map(tr => tr.station_a_id === t.current_station_id ? tr.station_b_id : tr.station_a_id);
-        
-        if (neighborIds.length > 0) {
-          // Pick a random neighbor to move to
-          const randomTargetId = neighborIds[Math.floor(Math.random() * neighborIds.length)];
-          dispatchTrainTo(randomTargetId);
-        } else {
-          // Fallback if no specific tracks (shouldn't happen with new logic but safe)
-          const stationsOther = stations.filter(s => s.id !== t.current_station_id);
-          if (stationsOther.length > 0) {
-            dispatchTrainTo(stationsOther[Math.floor(Math.random() * stationsOther.length)].id);
-          }
-        }
-      }
+// === AI DECISION LOG: browse orchestration runs and step through each decision ===
+
+let replayRun = null;
+let replayStep = 0;
+
+// Builds an element whose text is set via textContent (LLM output is never parsed as HTML)
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined && text !== null) node.textContent = text;
+  return node;
+}
+
+function setupRunsModal() {
+  const runsBtn = document.getElementById('runs-btn');
+  const modal = document.getElementById('runs-modal');
+  const closeBtn = document.getElementById('runs-close');
+  if (!runsBtn || !modal) return;
+
+  runsBtn.addEventListener('click', () => {
+    modal.classList.add('show');
+    loadRuns();
+  });
+  closeBtn?.addEventListener('click', () => modal.classList.remove('show'));
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.classList.remove('show');
+  });
+}
+
+async function loadRuns() {
+  const list = document.getElementById('runs-list');
+  try {
+    const res = await fetch('/api/ai/runs?limit=50');
+    const { runs } = await res.json();
+    list.innerHTML = '';
+    if (runs.length === 0) {
+      list.appendChild(el('p', 'run-empty', 'No expansion runs yet.'));
+      return;
+    }
+    runs.forEach(run => {
+      const item = el('div', 'run-item');
+      item.dataset.runId = run.id;
+      if (replayRun?.id === run.id) item.classList.add('active');
+      item.appendChild(el('div', null, `#${run.id} · ${new Date(run.started_at.replace(' ', 'T') + 'Z').toLocaleString()}`));
+      item.appendChild(el('span', `run-outcome ${run.outcome}`, run.outcome));
+      item.appendChild(el('span', null, ` · ${run.decisions} steps`));
+      if (run.note) item.appendChild(el('div', null, run.note.length > 70 ? run.note.slice(0, 67) + '...' : run.note));
+      item.addEventListener('click', () => loadRun(run.id));
+      list.appendChild(item);
+    });
+  } catch (e) {
+    console.error('Failed to load AI runs', e);
+  }
+}
+
+async function loadRun(id) {
+  try {
+    const res = await fetch(`/api/ai/runs/${id}`);
+    replayRun = await res.json();
+    replayStep = 0;
+    renderRunDetail();
+    document.querySelectorAll('.run-item').forEach(item => {
+      item.classList.toggle('active', Number(item.dataset.runId) === id);
     });
-  }, 10000); // Check every 10 seconds for more lifelike movement
+  } catch (e) {
+    console.error('Failed to load AI run', e);
+  }
+}
+
+function renderRunDetail() {
+  const detail = document.getElementById('run-detail');
+  detail.innerHTML = '';
+  const run = replayRun;
+
+  const summary = el('div', 'run-summary');
+  summary.appendChild(el('div', `run-outcome ${run.outcome}`, `Run #${run.id}: ${run.outcome}`));
+  if (run.plan) summary.appendChild(el('div', null, `Strategy: ${run.plan.strategy} (${run.plan.cityName}, ${run.plan.areaType})`));
+  if (run.station_name) summary.appendChild(el('div', null, `Built: ${run.station_name}`));
+  if (run.note) summary.appendChild(el('div', null, run.note));
+  detail.appendChild(summary);
+
+  if (run.decisions.length === 0) {
+    detail.appendChild(el('p', 'run-empty', 'No agent calls were made in this run.'));
+    return;
+  }
+
+  const controls = el('div', 'replay-controls');
+  const prev = el('button', 'btn', '◀ PREV');
+  const next = el('button', 'btn', 'NEXT ▶');
+  prev.disabled = replayStep === 0;
+  next.disabled = replayStep === run.decisions.length - 1;
+  prev.addEventListener('click', () => { replayStep--; renderRunDetail(); });
+  next.addEventListener('click', () => { replayStep++; renderRunDetail(); });
+  controls.append(prev, el('span', null, `STEP ${replayStep + 1} / ${run.decisions.length}`), next);
+  detail.appendChild(controls);
+
+  const d = run.decisions[replayStep];
+  const card = el('div', 'decision-card');
+  card.appendChild(el('h4', null, `${d.role.toUpperCase()} · ${d.task} · attempt ${d.attempt}`));
+  card.appendChild(el('div', null, `${d.provider || '-'}${d.model ? ':' + d.model : ''} · ${d.latency_ms ?? '-'} ms · `));
+  card.lastChild.appendChild(el('span', `run-outcome ${d.outcome === 'ok' ? 'success' : 'failed'}`, d.outcome));
+  if (d.error) card.appendChild(el('div', 'decision-error', d.error));
+  if (d.parsed) {
+    card.appendChild(el('strong', null, 'Result'));
+    card.appendChild(el('pre', null, JSON.stringify(d.parsed, null, 2)));
+  }
+  if (d.raw_response) {
+    card.appendChild(el('strong', null, 'Raw response'));
+    card.appendChild(el('pre', null, d.raw_response));
+  }
+  if (d.prompt) {
+    const prompt = el('details');
+    prompt.appendChild(el('summary', null, 'Prompt'));
+    prompt.appendChild(el('pre', null, d.prompt.trim()));
+    card.appendChild(prompt);
+  }
+  detail.appendChild(card);
+}
+
+// === NETWORK ANALYTICS: graph metrics of the network and their growth over time (server/analytics.js) ===
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const GROWTH_SERIES = [
+  { key: 'station_count', label: 'Stations', color: '#000000' },
+  { key: 'total_track_km', label: 'Track km', color: '#f55036' },
+  { key: 'served_area_km2', label: 'Served km²', color: '#4285f4' }
+];
+
+function setupAnalyticsModal() {
+  const analyticsBtn = document.getElementById('analytics-btn');
+  const modal = document.getElementById('analytics-modal');
+  const closeBtn = document.getElementById('analytics-close');
+  if (!analyticsBtn || !modal) return;
+
+  analyticsBtn.addEventListener('click', () => {
+    modal.classList.add('show');
+    loadAnalytics();
+  });
+  closeBtn?.addEventListener('click', () => modal.classList.remove('show'));
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.classList.remove('show');
+  });
+}
+
+async function loadAnalytics() {
+  try {
+    const [metricsRes, historyRes] = await Promise.all([fetch('/api/analytics'), fetch('/api/analytics/history?limit=500')]);
+    const metrics = await metricsRes.json();
+    const { history } = await historyRes.json();
+    renderAnalyticsCards(metrics);
+    renderGrowthChart(history.slice().reverse());
+    renderCentralStations(metrics.stations.slice(0, 8));
+  } catch (e) {
+    console.error('Failed to load network analytics', e);
+  }
+}
+
+function renderAnalyticsCards(m) {
+  const cards = document.getElementById('analytics-cards');
+  cards.innerHTML = '';
+  const share = (value) => value === null ? '--' : `${Math.round(value * 100)}%`;
+  const items = [
+    ['STATIONS', m.stationCount, `${m.trackCount} tracks`],
+    ['TRACK', `${m.totalTrackKm.toLocaleString()} km`, `${m.doubleTrackKm.toLocaleString()} km double`],
+    ['COMPONENTS', m.components.count, m.components.count > 1 ? `largest holds ${share(m.components.largestShare)}` : 'fully connected'],
+    ['DEGREE', m.degree.average, `max ${m.degree.max}`],
+    ['DEAD ENDS', m.deadEnds, `${m.isolatedStations} isolated`],
+    ['DIAMETER', m.diameter ? `${m.diameter.km.toLocaleString()} km` : '--', m.diameter ? `${m.diameter.from.name} → ${m.diameter.to.name}` : 'no connected pair'],
+    ['COVERAGE', `${m.coverage.servedAreaKm2.toLocaleString()} km²`, `${share(m.coverage.servedShareOfHull)} of the hull within ${m.coverage.radiusKm} km`]
+  ];
+  for (const [label, value, note] of items) {
+    const card = el('div', 'analytics-card');
+    card.append(el('div', 'analytics-label', label), el('div', 'analytics-value', String(value)), el('div', 'analytics-note', note));
+    cards.appendChild(card);
+  }
+}
+
+// One line per series over the recorded history, each scaled to its own maximum
+function renderGrowthChart(history) {
+  const chart = document.getElementById('analytics-chart');
+  const legend = document.getElementById('analytics-legend');
+  chart.innerHTML = '';
+  legend.innerHTML = '';
+  if (history.length < 2) {
+    legend.appendChild(el('p', 'run-empty', 'The chart appears once the network has changed since the first sample.'));
+    return;
+  }
+
+  const width = 600;
+  const height = 160;
+  const pad = 8;
+  const start = Date.parse(history[0].recorded_at);
+  const span = Math.max(1, Date.parse(history[history.length - 1].recorded_at) - start);
+  for (const series of GROWTH_SERIES) {
+    const values = history.map(h => h[series.key] ?? 0);
+    const max = Math.max(...values) || 1;
+    const points = history.map((h, i) => {
+      const x = pad + ((Date.parse(h.recorded_at) - start) / span) * (width - 2 * pad);
+      const y = height - pad - (values[i] / max) * (height - 2 * pad);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const line = document.createElementNS(SVG_NS, 'polyline');
+    line.setAttribute('points', points.join(' '));
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', series.color);
+    line.setAttribute('stroke-width', '2');
+    line.setAttribute('vector-effect', 'non-scaling-stroke');
+    chart.appendChild(line);
+
+    const key = el('span', 'analytics-key', `${series.label}: ${values[values.length - 1].toLocaleString()}`);
+    key.style.borderColor = series.color;
+    legend.appendChild(key);
+  }
+  legend.appendChild(el('span', 'analytics-note', `since ${new Date(start).toLocaleString()} · ${history.length} samples`));
+}
+
+// Betweenness: the share of shortest paths between other stations that run through this one
+function renderCentralStations(stations) {
+  const list = document.getElementById('analytics-central');
+  list.innerHTML = '';
+  const top = stations[0]?.betweenness || 0;
+  stations.forEach(s => {
+    const bar = el('div', 'central-bar');
+    bar.style.width = `${top > 0 ? (s.betweenness / top) * 100 : 0}%`;
+    const barTrack = el('div', 'central-track');
+    barTrack.appendChild(bar);
+    const row = el('div', 'central-row');
+    row.append(el('span', 'central-name', s.name), barTrack, el('span', 'central-value', `${s.betweenness.toFixed(3)} · deg ${s.degree}`));
+    list.appendChild(row);
+  });
 }
 
 // === VIP CAMERA: RIDE TRAIN ===
@@ -798,3 +1118,517 @@ function renderLogBook() {
     logYesterdayEl.textContent = "No recent construction.";
   }
 }
+
+// === MAP EDITOR: place, move, connect, rename and delete stations through the network API ===
+// Every edit is a command with apply/revert so it can be undone. Ids change when a deleted station
+// or track is recreated, so commands hold shared refs ({ id }) instead of raw ids.
+
+const EDIT_GRID_KM = 5;
+const EDIT_GRID_PX = EDIT_GRID_KM * PIXELS_PER_KM;
+const EDIT_HISTORY_LIMIT = 50;
+const STATION_RADIUS = 25;
+
+let editMode = false;
+let editBusy = false;
+let editDrag = null; // { ref, name, from: {x, y}, to: {x, y} snapped, targetId when over another station }
+let editPress = null; // Mouse-down on empty map, becomes a placement if the mouse doesn't travel
+const undoStack = [];
+const redoStack = [];
+const stationRefs = new Map();
+const trackRefs = new Map();
+
+function refFor(refs, id) {
+  if (!refs.has(id)) refs.set(id, { id });
+  return refs.get(id);
+}
+
+function rebind(refs, ref, id) {
+  refs.delete(ref.id);
+  ref.id = id;
+  refs.set(id, ref);
+}
+
+function snapToGrid(value) {
+  return Math.round(value / EDIT_GRID_PX) * EDIT_GRID_PX;
+}
+
+function screenToWorld(e) {
+  const rect = container.getBoundingClientRect();
+  return {
+    x: (e.clientX - rect.left) / zoomLevel - viewX,
+    y: (e.clientY - rect.top) / zoomLevel - viewY
+  };
+}
+
+function stationAt(point, excludeId = null) {
+  return stations.find(s => s.id !== excludeId && Math.hypot(s.x - point.x, s.y - point.y) <= STATION_RADIUS);
+}
+
+function nearestStation(point, candidates) {
+  return [...candidates]
+    .sort((a, b) => Math.hypot(a.x - point.x, a.y - point.y) - Math.hypot(b.x - point.x, b.y - point.y))[0] || null;
+}
+
+async function editRequest(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(apiErrorMessage(data, res.status));
+  return data;
+}
+
+function setEditHint(message, isError = false) {
+  const hint = document.getElementById('edit-hint');
+  if (!hint) return;
+  hint.textContent = message;
+  hint.classList.toggle('error', isError);
+}
+
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById('undo-btn');
+  const redoBtn = document.getElementById('redo-btn');
+  if (undoBtn) {
+    undoBtn.disabled = editBusy || undoStack.length === 0;
+    undoBtn.title = undoStack.length ? `Undo: ${undoStack[undoStack.length - 1].label}` : 'Nothing to undo';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = editBusy || redoStack.length === 0;
+    redoBtn.title = redoStack.length ? `Redo: ${redoStack[redoStack.length - 1].label}` : 'Nothing to redo';
+  }
+}
+
+// Runs one step of history; a failed step stays where it was so it can be retried
+async function runEdit(step, command, onSuccess, verb = '') {
+  if (editBusy) return;
+  editBusy = true;
+  updateHistoryButtons();
+  try {
+    await step();
+    onSuccess();
+    setEditHint(`✔ ${verb}${command.label}`);
+    await fetchState();
+  } catch (err) {
+    setEditHint(`✖ ${verb}${command.label}: ${err.message}`, true);
+  } finally {
+    editBusy = false;
+    updateHistoryButtons();
+  }
+}
+
+function executeEdit(command) {
+  return runEdit(command.apply, command, () => {
+    undoStack.push(command);
+    if (undoStack.length > EDIT_HISTORY_LIMIT) undoStack.shift();
+    redoStack.length = 0;
+  });
+}
+
+function undoEdit() {
+  const command = undoStack[undoStack.length - 1];
+  if (!command) return;
+  return runEdit(command.revert, command, () => redoStack.push(undoStack.pop()), 'Undo: ');
+}
+
+function redoEdit() {
+  const command = redoStack[redoStack.length - 1];
+  if (!command) return;
+  return runEdit(command.apply, command, () => undoStack.push(redoStack.pop()), 'Redo: ');
+}
+
+// Trains using the station are parked at the chosen station; without one the server refuses and names them
+function removeStationOnServer(id, parkingRef = null) {
+  return editRequest('DELETE', `/api/stations/${id}${parkingRef ? `?relocateTo=${parkingRef.id}` : ''}`);
+}
+
+// ---- Commands ----
+
+function addStationCommand(name, x, y) {
+  let ref = null;
+  return {
+    label: `Add ${name}`,
+    async apply() {
+      const station = await editRequest('POST', '/api/stations', { name, x, y });
+      if (ref) rebind(stationRefs, ref, station.id);
+      else ref = refFor(stationRefs, station.id);
+    },
+    revert: () => removeStationOnServer(ref.id)
+  };
+}
+
+function moveStationCommand(ref, name, from, to) {
+  return {
+    label: `Move ${name}`,
+    apply: () => editRequest('PUT', `/api/stations/${ref.id}`, to),
+    revert: () => editRequest('PUT', `/api/stations/${ref.id}`, from)
+  };
+}
+
+function renameStationCommand(ref, from, to) {
+  return {
+    label: `Rename ${from} → ${to}`,
+    apply: () => editRequest('PUT', `/api/stations/${ref.id}`, { name: to }),
+    revert: () => editRequest('PUT', `/api/stations/${ref.id}`, { name: from })
+  };
+}
+
+function addTrackCommand(aRef, bRef, label, doubleTrack = false) {
+  let ref = null;
+  return {
+    label,
+    async apply() {
+      const track = await editRequest('POST', '/api/tracks', { stationAId: aRef.id, stationBId: bRef.id, doubleTrack });
+      if (ref) rebind(trackRefs, ref, track.id);
+      else ref = refFor(trackRefs, track.id);
+    },
+    revert: () => editRequest('DELETE', `/api/tracks/${ref.id}`)
+  };
+}
+
+function removeTrackCommand(track, label) {
+  const ref = refFor(trackRefs, track.id);
+  const aRef = refFor(stationRefs, track.station_a_id);
+  const bRef = refFor(stationRefs, track.station_b_id);
+  return {
+    label,
+    apply: () => editRequest('DELETE', `/api/tracks/${ref.id}`),
+    async revert() {
+      const restored = await editRequest('POST', '/api/tracks', { stationAId: aRef.id, stationBId: bRef.id, doubleTrack: track.double_track });
+      rebind(trackRefs, ref, restored.id);
+    }
+  };
+}
+
+function toggleDoubleTrackCommand(track, label) {
+  const ref = refFor(trackRefs, track.id);
+  return {
+    label,
+    apply: () => editRequest('PUT', `/api/tracks/${ref.id}`, { doubleTrack: !track.double_track }),
+    revert: () => editRequest('PUT', `/api/tracks/${ref.id}`, { doubleTrack: track.double_track })
+  };
+}
+
+// Undo brings back the station and its tracks; relocated trains and withdrawn services stay as they are
+function removeStationCommand(station, parkingRef = null) {
+  const ref = refFor(stationRefs, station.id);
+  const links = tracks
+    .filter(t => t.station_a_id === station.id || t.station_b_id === station.id)
+    .map(t => ({
+      ref: refFor(trackRefs, t.id),
+      otherRef: refFor(stationRefs, t.station_a_id === station.id ? t.station_b_id : t.station_a_id),
+      doubleTrack: t.double_track
+    }));
+  return {
+    label: `Delete ${station.name}`,
+    apply: () => removeStationOnServer(ref.id, parkingRef),
+    async revert() {
+      const restored = await editRequest('POST', '/api/stations', { name: station.name, x: station.x, y: station.y });
+      rebind(stationRefs, ref, restored.id);
+      for (const link of links) {
+        const track = await editRequest('POST', '/api/tracks', { stationAId: ref.id, stationBId: link.otherRef.id, doubleTrack: link.doubleTrack });
+        rebind(trackRefs, link.ref, track.id);
+      }
+    }
+  };
+}
+
+// ---- Mouse handling ----
+
+function startStationDrag(e, stationId) {
+  if (!editMode || e.button !== 0) return;
+  e.stopPropagation(); // No panning while dragging a station
+  const station = stations.find(s => s.id === stationId);
+  if (!station) return;
+  editDrag = { ref: refFor(stationRefs, station.id), name: station.name, from: { x: station.x, y: station.y }, to: null, targetId: null };
+}
+
+function updateEditGhost() {
+  const viewport = document.getElementById('viewport');
+  let ghost = document.getElementById('edit-ghost');
+  if (!editDrag || !editDrag.to || !viewport) {
+    ghost?.remove();
+    return;
+  }
+  if (!ghost) {
+    ghost = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    ghost.id = 'edit-ghost';
+    viewport.appendChild(ghost);
+  }
+  ghost.innerHTML = '';
+
+  const target = stations.find(s => s.id === editDrag.targetId);
+  const end = target || editDrag.to;
+  const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+  line.setAttribute('x1', editDrag.from.x);
+  line.setAttribute('y1', editDrag.from.y);
+  line.setAttribute('x2', end.x);
+  line.setAttribute('y2', end.y);
+  line.classList.add(target ? 'ghost-track' : 'ghost-move');
+  ghost.appendChild(line);
+
+  const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+  circle.setAttribute('cx', end.x);
+  circle.setAttribute('cy', end.y);
+  circle.setAttribute('r', STATION_RADIUS + (target ? 8 : 0));
+  circle.classList.add(target ? 'ghost-target' : 'ghost-station');
+  ghost.appendChild(circle);
+}
+
+function finishStationDrag() {
+  const drag = editDrag;
+  editDrag = null;
+  updateEditGhost();
+  if (!drag?.to) return;
+
+  const target = stations.find(s => s.id === drag.targetId);
+  if (target) {
+    const a = stations.find(s => s.id === drag.ref.id);
+    if (tracks.some(t => (t.station_a_id === a.id && t.station_b_id === target.id) || (t.station_a_id === target.id && t.station_b_id === a.id))) {
+      return setEditHint(`${a.name} and ${target.name} are already connected`, true);
+    }
+    executeEdit(addTrackCommand(drag.ref, refFor(stationRefs, target.id), `Lay track ${a.name} - ${target.name}`));
+  } else if (drag.to.x !== drag.from.x || drag.to.y !== drag.from.y) {
+    executeEdit(moveStationCommand(drag.ref, drag.name, drag.from, drag.to));
+  }
+}
+
+function placeStationAt(e) {
+  const point = screenToWorld(e);
+  const x = snapToGrid(point.x);
+  const y = snapToGrid(point.y);
+  const name = prompt(`New station at (${x}, ${y}) - name:`);
+  if (!name || !name.trim()) return;
+  executeEdit(addStationCommand(name.trim(), x, y));
+}
+
+// ---- Context menu ----
+
+function closeEditMenu() {
+  document.getElementById('edit-menu')?.classList.remove('show');
+}
+
+function openEditMenu(e, title, items) {
+  e.preventDefault();
+  e.stopPropagation();
+  const menu = document.getElementById('edit-menu');
+  if (!menu) return;
+  menu.innerHTML = '';
+  menu.appendChild(el('div', 'edit-menu-title', title));
+  items.forEach(({ label, action, danger }) => {
+    const item = el('button', `edit-menu-item${danger ? ' danger' : ''}`, label);
+    item.addEventListener('click', () => {
+      closeEditMenu();
+      action();
+    });
+    menu.appendChild(item);
+  });
+  menu.style.left = `${e.clientX}px`;
+  menu.style.top = `${e.clientY}px`;
+  menu.classList.add('show');
+}
+
+function openStationMenu(e, stationId) {
+  if (!editMode) return;
+  const station = stations.find(s => s.id === stationId);
+  if (!station) return;
+  openEditMenu(e, station.name, [
+    {
+      label: '✏️ Rename',
+      action: () => {
+        const name = prompt(`Rename ${station.name} to:`, station.name);
+        if (!name || !name.trim() || name.trim() === station.name) return;
+        executeEdit(renameStationCommand(refFor(stationRefs, station.id), station.name, name.trim()));
+      }
+    },
+    {
+      label: '🗑️ Delete',
+      danger: true,
+      action: () => {
+        const users = trains.filter(t => t.current_station_id === station.id || t.target_station_id === station.id || t.route?.includes(station.id));
+        let parking = null;
+        if (users.length) {
+          // The operator picks: the nearest station may be on a line the trains cannot reach. A neighbour is suggested.
+          const others = stations.filter(s => s.id !== station.id);
+          const neighbours = tracks
+            .filter(t => t.station_a_id === station.id || t.station_b_id === station.id)
+            .map(t => others.find(s => s.id === (t.station_a_id === station.id ? t.station_b_id : t.station_a_id)))
+            .filter(Boolean);
+          const answer = prompt(`${users.map(t => t.name).join(', ')} use ${station.name}. Park them at which station?\n\n${others.map(s => s.name).join(', ')}`,
+            nearestStation(station, neighbours)?.name || '');
+          if (!answer || !answer.trim()) return;
+          parking = others.find(s => s.name.toLowerCase() === answer.trim().toLowerCase());
+          if (!parking) return setEditHint(`✖ Delete ${station.name}: no station named "${answer.trim()}"`, true);
+        }
+        const note = parking ? `\n\n${users.map(t => t.name).join(', ')} will be parked at ${parking.name}.` : '';
+        if (!confirm(`Delete ${station.name} and its tracks?${note}`)) return;
+        executeEdit(removeStationCommand(station, parking && refFor(stationRefs, parking.id)));
+      }
+    }
+  ]);
+}
+
+function openTrackMenu(e, trackId) {
+  if (!editMode) return;
+  const track = tracks.find(t => t.id === trackId);
+  if (!track) return;
+  const a = stations.find(s => s.id === track.station_a_id);
+  const b = stations.find(s => s.id === track.station_b_id);
+  const name = `${a?.name || '?'} - ${b?.name || '?'}`;
+  openEditMenu(e, name, [
+    {
+      label: track.double_track ? '➖ Make single track' : '➕ Make double track',
+      action: () => executeEdit(toggleDoubleTrackCommand(track, `${track.double_track ? 'Single' : 'Double'} track ${name}`))
+    },
+    {
+      label: '🗑️ Remove track',
+      danger: true,
+      action: () => executeEdit(removeTrackCommand(track, `Remove track ${name}`))
+    }
+  ]);
+}
+
+// ---- Mode toggle ----
+
+function setEditMode(active) {
+  editMode = active;
+  editDrag = null;
+  editPress = null;
+  closeEditMenu();
+  updateEditGhost();
+  document.body.classList.toggle('editing', active);
+
+  const editBtn = document.getElementById('edit-btn');
+  if (editBtn) {
+    editBtn.textContent = active ? '✏️ EDIT: ON' : '✏️ EDIT: OFF';
+    editBtn.classList.toggle('btn-active', active);
+    editBtn.classList.toggle('btn-off', !active);
+  }
+  if (active) {
+    setEditHint(`Click empty map to place a station (snaps to ${EDIT_GRID_KM} km). Drag a station to move it, or onto another station to lay track. Right-click for more.`);
+  }
+  updateHistoryButtons();
+}
+
+function setupMapEditor() {
+  document.getElementById('edit-btn')?.addEventListener('click', () => setEditMode(!editMode));
+  document.getElementById('undo-btn')?.addEventListener('click', undoEdit);
+  document.getElementById('redo-btn')?.addEventListener('click', redoEdit);
+  if (!container) return;
+
+  container.addEventListener('mousedown', (e) => {
+    if (!editMode || e.button !== 0 || !e.target.closest('#simulation-canvas')) return;
+    editPress = { x: e.clientX, y: e.clientY };
+  });
+
+  window.addEventListener('mousemove', (e) => {
+    if (!editDrag) return;
+    const point = screenToWorld(e);
+    const target = stationAt(point, editDrag.ref.id);
+    editDrag.targetId = target ? target.id : null;
+    editDrag.to = { x: snapToGrid(point.x), y: snapToGrid(point.y) };
+    updateEditGhost();
+  });
+
+  window.addEventListener('mouseup', (e) => {
+    if (editDrag) return finishStationDrag();
+    const press = editPress;
+    editPress = null;
+    // A press that barely moved is a click; anything longer was a pan
+    if (press && Math.hypot(e.clientX - press.x, e.clientY - press.y) < 5) placeStationAt(e);
+  });
+
+  window.addEventListener('click', (e) => {
+    if (!e.target.closest('#edit-menu')) closeEditMenu();
+  });
+
+  window.addEventListener('keydown', (e) => {
+    if (!editMode || e.target.closest('input, textarea')) return;
+    const key = e.key.toLowerCase();
+    if (e.key === 'Escape') {
+      editDrag = null;
+      updateEditGhost();
+      closeEditMenu();
+    } else if ((e.ctrlKey || e.metaKey) && key === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) redoEdit();
+      else undoEdit();
+    } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+      e.preventDefault();
+      redoEdit();
+    }
+  });
+}
+
+// === AUTH: visitors are viewers; an API token opens a session with that token's role (server/auth.js) ===
+
+const ROLE_RANK = { viewer: 0, operator: 1, admin: 2 };
+const ANONYMOUS_USER = { name: 'anonymous', role: 'viewer', authenticated: false };
+// Controls and the role they need; the server enforces the same rule
+const ROLE_GATES = [['edit-btn', 'operator'], ['auto-btn', 'admin'], ['expand-btn', 'admin']];
+
+let currentUser = ANONYMOUS_USER;
+
+function hasRole(role) {
+  return ROLE_RANK[currentUser.role] >= ROLE_RANK[role];
+}
+
+function applyRole() {
+  const loginBtn = document.getElementById('login-btn');
+  if (loginBtn) {
+    loginBtn.textContent = currentUser.authenticated ? `🔓 ${currentUser.name.toUpperCase()} (${currentUser.role.toUpperCase()})` : '🔑 LOGIN';
+    loginBtn.title = currentUser.authenticated ? 'Log out' : 'Log in with an API token';
+    loginBtn.classList.toggle('btn-active', currentUser.authenticated);
+    loginBtn.classList.toggle('btn-off', !currentUser.authenticated);
+  }
+
+  for (const [id, role] of ROLE_GATES) {
+    const btn = document.getElementById(id);
+    if (!btn) continue;
+    if (btn.dataset.title === undefined) btn.dataset.title = btn.title;
+    btn.disabled = !hasRole(role);
+    btn.title = btn.disabled ? `Needs the ${role} role - log in first` : btn.dataset.title;
+  }
+  if (editMode && !hasRole('operator')) setEditMode(false);
+}
+
+async function fetchCurrentUser() {
+  try {
+    const res = await fetch('/api/auth/me');
+    currentUser = res.ok ? await res.json() : ANONYMOUS_USER;
+  } catch (err) {
+    console.warn('Could not check login state');
+  }
+  applyRole();
+}
+
+async function toggleLogin() {
+  if (currentUser.authenticated) {
+    if (!confirm(`Log out ${currentUser.name}?`)) return;
+    await fetch('/api/auth/logout', { method: 'POST' });
+    currentUser = ANONYMOUS_USER;
+    return applyRole();
+  }
+
+  const token = prompt('API token (ask an admin for one, or use ADMIN_TOKEN):');
+  if (!token || !token.trim()) return;
+  try {
+    const res = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: token.trim() })
+    });
+    const data = await res.json();
+    if (!res.ok) return alert(apiErrorMessage(data, res.status));
+    currentUser = data;
+    applyRole();
+  } catch (err) {
+    console.error('Login failed:', err);
+  }
+}
+
+function setupAuthControls() {
+  document.getElementById('login-btn')?.addEventListener('click', toggleLogin);
+  fetchCurrentUser();
+}
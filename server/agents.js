@@ -1,36 +1,126 @@
 /**
  * AI Railway Simulation - AI Agents Module
- * Dual-Agent Architecture: Gemini (Commander) + Groq (Worker)
+ * Multi-Agent Architecture: Commander, Engineer and Surveyor roles,
+ * each served by a pluggable LLM provider (see providers/index.js).
  */
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const Groq = require("groq-sdk");
 const db = require('./db');
 const logger = require('./logger');
+const finance = require('./finance');
+const fleet = require('./fleet');
+const analytics = require('./analytics');
+const validator = require('./validator');
+const providers = require('./providers');
+const schemas = require('./schemas');
+const snapshots = require('./snapshots');
 
-// Initialize AI Clients
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-// User requested "Gemini 3 Flash" -> Found "gemini-3-flash-preview" in available models
-const geminiModel = genAI.getGenerativeModel({ model: "gemini-3-flash-preview" });
+/**
+ * Runs one agent task on the provider assigned to `role` and returns its schema-checked answer.
+ * `context` carries the raw network state for providers that don't read prompts (procedural).
+ * A reply that fails its schema gets one repair re-prompt; failures are logged with a typed code.
+ * Every call is written to the audit trail of `trace.runId` (see /api/ai/runs).
+ */
+async function askAgent(role, task, prompt, context, trace = {}) {
+  const provider = providers.forRole(role);
+  const agentLabel = `${role} (${provider.name}:${provider.model})`;
+  const audit = (entry) => {
+    if (trace.runId) {
+      db.addAiDecision(trace.runId, { attempt: trace.attempt, role, task, provider: provider.name, model: provider.model, ...entry });
+    }
+  };
+
+  // One provider call + schema check; returns { value } or { error, reply }
+  const attempt = async (text, isRepair) => {
+    const started = Date.now();
+    const auditTask = isRepair ? `${task}:repair` : task;
+    let reply;
+    try {
+      reply = await provider.complete({ task, prompt: text, context });
+    } catch (error) {
+      const failure = new schemas.AgentResponseError(schemas.ERROR_CODES.PROVIDER_ERROR, error.message);
+      audit({ task: auditTask, prompt: text, latencyMs: Date.now() - started, outcome: 'error', error: `[${failure.code}] ${failure.message}` });
+      reportAgentError(agentLabel, task, failure);
+      throw failure;
+    }
+    const latencyMs = Date.now() - started;
+    try {
+      const value = schemas.parseResponse(task, reply);
+      audit({ task: auditTask, prompt: text, rawResponse: reply, parsed: value, latencyMs, outcome: value.valid === false ? 'rejected' : 'ok' });
+      return { value };
+    } catch (error) {
+      if (!(error instanceof schemas.AgentResponseError)) throw error;
+      audit({ task: auditTask, prompt: text, rawResponse: reply, latencyMs, outcome: 'invalid', error: `[${error.code}] ${error.message}` });
+      return { error, reply };
+    }
+  };
+
+  const first = await attempt(prompt, false);
+  if (!first.error) return first.value;
+  reportAgentError(agentLabel, task, first.error);
+
+  const second = await attempt(schemas.buildRepairPrompt(task, prompt, first.reply, first.error), true);
+  if (!second.error) {
+    logger.info(`🧩 SCHEMA: ${agentLabel} ${task} repaired on re-prompt`);
+    return second.value;
+  }
+  reportAgentError(agentLabel, task, second.error, true);
+  throw second.error;
+}
 
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+function reportAgentError(agentLabel, task, error, afterRepair = false) {
+  const message = `[${error.code}] ${agentLabel} ${task}${afterRepair ? ' (after repair)' : ''}: ${error.message}`;
+  logger.warn(`🧩 SCHEMA: ${message}`);
+  db.addEvent('AI_ERROR', `🧩 ${message}`);
+}
 
-// State
-let dailyPlan = null;
-let lastBriefingTime = 0;
+// State lives in the agent_state row (db.getAgentState) so restarts keep the plan and cooldown
 const BRIEFING_INTERVAL = 2 * 60 * 60 * 1000; // 2 Hours (Real-time) - User Request: "12:00 am, 2:00 am"
 
 // Rate Limiting (Groq is fast, but let's keep it sane)
-const WORKER_INTERVAL_MS = 10000; // 10s per build
-let lastWorkerTime = 0;
+const CYCLE_COOLDOWN_MS = 60000; // Minimum gap between orchestration cycles
+const MAX_BUILD_ATTEMPTS = 3; // Proposals per cycle before giving up
+// A forced re-plan gets a build job's planning time (jobs.js), then gives the expansion lock back
+const REPLAN_TIMEOUT_MS = (parseInt(process.env.EXPANSION_PHASE_TIMEOUT_SECONDS) || 60) * 1000;
+
+// Progress sink for builds run outside a job (see jobs.js createTask)
+const NO_TASK = { phase() {}, wait: (promise) => promise, linkRun() {} };
+
+// The expansion lock: one orchestration (build or forced re-plan) at a time, whoever triggers it.
+// Builds from the scheduler, /api/expand and /api/ai/plan all take it before their first await.
+let activeJob = null; // { kind, trigger, runId, startedAt }
+
+function busyRefusal() {
+  return {
+    success: false,
+    error: `An AI ${activeJob.kind} is already in progress (${activeJob.trigger}, started ${activeJob.startedAt}).`,
+    status: 409,
+    job: describeJob()
+  };
+}
+
+function describeJob() {
+  if (!activeJob) return null;
+  return { ...activeJob, elapsedMs: Date.now() - Date.parse(activeJob.startedAt) };
+}
+
+// Runs `work` holding the lock; the lock is released however the work ends
+async function withLock(kind, trigger, work) {
+  activeJob = { kind, trigger, runId: null, startedAt: new Date().toISOString() };
+  try {
+    return await work(activeJob);
+  } finally {
+    activeJob = null;
+  }
+}
 
 /**
- * 1. COMMANDER AGENT (Gemini 1.5 Flash)
+ * 1. COMMANDER AGENT
  * Generates high-level strategic plan once per "day".
  */
-async function getDailyBriefing() {
+async function getDailyBriefing(trace = {}, { force = false } = {}) {
   const now = Date.now();
-  if (dailyPlan && (now - lastBriefingTime < BRIEFING_INTERVAL)) {
-    return dailyPlan;
+  const state = db.getAgentState();
+  if (!force && state.plan && now < Date.parse(state.plan_expires_at)) {
+    return state.plan;
   }
 
   logger.info('� MARATHON AGENT: Beginning Strategic Planning Phase...');
@@ -45,10 +135,12 @@ async function getDailyBriefing() {
     Goal: Plan long-term network growth.
     
     Current Stats: ${stationCount} stations, Area ${areaNumber}.
+    Finances: ${finance.getBriefingSummary()}
     
     TASK:
-    1. Analyze the current network density. 
+    1. Analyze the current network density and the budget. 
     2. Define a strategic directive (Urban Expansion or Inter-City Jump if count >= 50).
+       Builds the treasury cannot pay for will be refused, so favour short, revenue-earning links when funds are low.
     3. Generate a "Thought Signature" - your internal reasoning for this choice.
     
     Format: JSON
@@ -61,11 +153,12 @@ async function getDailyBriefing() {
   `;
 
   try {
-    const result = await geminiModel.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text().replace(/```json|```/g, "").trim();
-    dailyPlan = JSON.parse(text);
-    lastBriefingTime = now;
+    const dailyPlan = await askAgent('commander', 'briefing', prompt, { stations, tracks: db.getTracks() }, trace);
+    db.updateAgentState({
+      plan: dailyPlan,
+      plan_created_at: new Date(now).toISOString(),
+      plan_expires_at: new Date(now + BRIEFING_INTERVAL).toISOString()
+    });
     
     db.addEvent('AI_EXPANSION', `[THOUGHT] ${dailyPlan.thoughtSignature}`);
     db.addEvent('COMMANDER', `📜 STRATEGY: ${dailyPlan.strategy}`);
@@ -77,9 +170,10 @@ async function getDailyBriefing() {
 }
 
 /**
- * PHASE 2: PROPOSE (Groq Engineer)
+ * PHASE 2: PROPOSE (Engineer)
+ * `feedback` lists why earlier attempts in this cycle were rejected.
  */
-async function proposeBuild(plan, stations) {
+async function proposeBuild(plan, stations, feedback = [], trace = {}) {
   const lastStation = stations[stations.length - 1];
   const isJump = plan.strategy.includes('JUMP');
   
@@ -97,29 +191,27 @@ async function proposeBuild(plan, stations) {
     ACTION: Propose ONE new station. 
     - The new station MUST connect to one of the existing IDs: ${contextStations.map(s => s.id).join(', ')}.
     - Coordinate System: 4px = 1km. 
-    - Choose realistic distances (50-300km from connection point).
+    - Choose realistic distances (${validator.MIN_LINK_KM}-${validator.MAX_LINK_KM}km from connection point).
+    - Keep at least ${validator.MIN_STATION_SPACING_KM}km from every existing station, use a unique name, and don't cross existing track.
+    - Budget: ${finance.formatMoney(db.getBalance())} available. Track costs ${finance.formatMoney(finance.TRACK_COST_PER_KM)}/km on top of ${finance.formatMoney(finance.STATION_COST)} per station.
     
+    ${feedback.length ? `PREVIOUS ATTEMPTS REJECTED - fix these problems:\n    ${feedback.map(f => `- ${f}`).join('\n    ')}\n` : ''}
     JSON: { "name": "Station Name", "x": number, "y": number, "connectToId": existing_id, "thoughtSignature": "Brief engineering rationale" }
   `;
 
-  const completion = await groq.chat.completions.create({
-    messages: [{ role: "user", content: prompt }],
-    model: "llama-3.3-70b-versatile",
-    response_format: { type: "json_object" }
-  });
-
-  return JSON.parse(completion.choices[0].message.content);
+  return askAgent('engineer', 'proposal', prompt, { stations, tracks: db.getTracks(), plan, feedback }, trace);
 }
 
 /**
- * PHASE 3: VERIFY (Gemini Surveyor)
+ * PHASE 3: VERIFY (Surveyor)
  * The "Self-Correction" loop check.
  */
-async function verifyBuild(proposal, stations) {
+async function verifyBuild(proposal, stations, trace = {}) {
   const prompt = `
     Role: Project Surveyor (Quality Control)
     Proposal: ${JSON.stringify(proposal)}
     Context: Existing ${stations.length} stations.
+    Deterministic checks (spacing, link length, track crossings, unique name) have already passed.
     
     TASK: Verify if the proposed coordinates and name are sensible. 
     Check for:
@@ -129,99 +221,220 @@ async function verifyBuild(proposal, stations) {
     JSON: { "valid": true/false, "feedback": "Why it failed or pass" }
   `;
 
-  const result = await geminiModel.generateContent(prompt);
-  const text = result.response.text().replace(/```json|```/g, "").trim();
-  return JSON.parse(text);
+  return askAgent('surveyor', 'verification', prompt, { stations, tracks: db.getTracks(), proposal }, trace);
 }
 /**
- * 2. WORKER AGENT (Groq Llama 3)
- * Executes the plan by building specific stations.
+ * 2. WORKER AGENT (Orchestrator)
+ * Executes the plan by building specific stations. `trigger` says who asked (shown by /api/expand/status);
+ * `task` receives the phases and may cut a phase short (timeout or cancellation, see jobs.js).
+ * Refusals carry a status: 409 while another job holds the lock, 429 during the cooldown, 402 when broke.
  */
-async function expandNetwork() {
+async function expandNetwork({ trigger = 'manual', task = NO_TASK } = {}) {
+  if (activeJob) return busyRefusal();
   const now = Date.now();
-  if (now - lastWorkerTime < 60000) { 
-    return { success: false, error: 'Marathon Agent is cooling down between cycles.' };
+  const state = db.getAgentState();
+  if (state.last_cycle_at && now - Date.parse(state.last_cycle_at) < CYCLE_COOLDOWN_MS) { 
+    const retryAfterSeconds = Math.ceil((Date.parse(state.last_cycle_at) + CYCLE_COOLDOWN_MS - now) / 1000);
+    return { success: false, error: 'Marathon Agent is cooling down between cycles.', status: 429, retryAfterSeconds };
+  }
+  return withLock('build', trigger, (job) => runExpansionCycle(job, task, state, now));
+}
+
+async function runExpansionCycle(job, task, state, now) {
+  db.updateAgentState({ last_cycle_at: new Date(now).toISOString(), cycles: state.cycles + 1 });
+  const runId = db.addAiRun();
+  job.runId = runId;
+  task.linkRun(runId);
+
+  // Don't spend LLM calls on a build the treasury can't pay for
+  if (!finance.canAfford(finance.STATION_COST)) {
+    const error = `Treasury too low for a new station (${finance.formatMoney(db.getBalance())} < ${finance.formatMoney(finance.STATION_COST)}).`;
+    db.addEvent('FINANCE', `💸 Expansion postponed. ${error}`);
+    db.finishAiRun(runId, 'skipped', { note: error });
+    return { success: false, runId, error, status: 402 };
   }
-  lastWorkerTime = now;
 
-  // 1. PHASE: PLAN
-  const plan = await getDailyBriefing();
   const stations = db.getStations();
+  let plan = null;
 
   try {
+    // 1. PHASE: PLAN
+    task.phase('planning');
+    plan = await task.wait(getDailyBriefing({ runId, attempt: 0 }));
+
     let proposal = null;
     let verification = { valid: false };
     let attempts = 0;
-    const maxAttempts = 3;
+    const feedback = [];
 
-    // ORCHESTRATION LOOP: Propose -> Verify -> Correct
-    while (!verification.valid && attempts < maxAttempts) {
+    // ORCHESTRATION LOOP: Propose -> Validate -> Verify -> Correct
+    while (!verification.valid && attempts < MAX_BUILD_ATTEMPTS) {
       attempts++;
       logger.info(`🐅 ORCHESTRATOR: Attempt ${attempts} - Proposing build...`);
       
       // 2. PHASE: PROPOSE
-      proposal = await proposeBuild(plan, stations);
-      db.addEvent('AI_EXPANSION', `[THOUGHT] ${proposal.thoughtSignature}`);
+      const trace = { runId, attempt: attempts };
+      task.phase('proposing', attempts);
+      proposal = await task.wait(proposeBuild(plan, stations, feedback, trace));
+      if (proposal.thoughtSignature) db.addEvent('AI_EXPANSION', `[THOUGHT] ${proposal.thoughtSignature}`);
       
-      // 3. PHASE: VERIFY
-      verification = await verifyBuild(proposal, stations);
+      // 3a. PHASE: VALIDATE (deterministic rules - no LLM call wasted on a broken proposal)
+      const check = validator.validateProposal(proposal, stations, db.getTracks());
+      auditValidation(trace, check);
+      let rejectedBy = 'Validator';
+      if (!check.valid) {
+        verification = { valid: false, feedback: check.errors.join(' ') };
+      } else {
+        // 3b. PHASE: VERIFY (Surveyor)
+        proposal = check.proposal;
+        task.phase('verifying', attempts);
+        verification = await task.wait(verifyBuild(proposal, stations, trace));
+        rejectedBy = 'Surveyor';
+      }
       
       if (!verification.valid) {
-        db.addEvent('SYSTEM', `🔄 SELF-CORRECT: Proposal rejected by Surveyor. Feedback: ${verification.feedback}. Retrying...`);
-        logger.warn(`🐅 ORCHESTRATOR: Verification failed. ${verification.feedback}`);
+        feedback.push(verification.feedback);
+        db.addEvent('SYSTEM', `🔄 SELF-CORRECT: Proposal rejected by ${rejectedBy}. Feedback: ${verification.feedback}. Retrying...`);
+        logger.warn(`🐅 ORCHESTRATOR: ${rejectedBy} rejected proposal. ${verification.feedback}`);
       }
     }
 
     if (!verification.valid) throw new Error("Could not reach verified consensus after multiple attempts.");
 
-    // 4. PHASE: EXECUTE
-    const newId = db.addStation(proposal.name, proposal.x, proposal.y);
-    
-    // SAFETY: If AI hallucinated a connectToId (or sent a String), force Number and check validity
+    // 4. PHASE: EXECUTE (no awaits from here on: a build is never left half done)
+    task.phase('executing', attempts);
+    // Re-check against the live network: it may have changed while the LLMs were thinking
     const validStations = db.getStations();
-    let connectionId = Number(proposal.connectToId);
+    const finalCheck = validator.validateProposal(proposal, validStations, db.getTracks());
+    auditValidation({ runId, attempt: attempts }, finalCheck, 'execution');
+    if (!finalCheck.valid) throw new Error(`Proposal no longer valid: ${finalCheck.errors.join(' ')}`);
+    const connectionId = finalCheck.proposal.connectToId;
     
-    if (isNaN(connectionId) || !validStations.find(s => s.id === connectionId)) {
-      // Fallback: Connect to the station created BEFORE the one we just added (the previous tail)
-      if (validStations.length >= 2) {
-        connectionId = validStations[validStations.length - 2].id;
-        logger.warn(`🐅 ORCHESTRATOR: Hallucination/Type mismatch detected. Falling back to connection ID: ${connectionId}`);
-      } else {
-        // Absolute fallback for first connection
-        connectionId = validStations[0].id;
-      }
-    }
+    // Restore point so this build can be rolled back (POST /api/snapshots/:id/restore)
+    snapshots.createSnapshot(`Before AI run #${runId} (${new Date().toISOString()})`, { auto: true });
     
+    // Pay before building: refused builds leave the map untouched
+    const quote = finance.quoteStationBuild(proposal, validStations.find(s => s.id === connectionId));
+    const payment = finance.chargeConstruction(quote.total, `${proposal.name} station + ${quote.trackKm.toFixed(0)} km track`);
+    if (!payment.success) throw new Error(payment.error);
+    
+    const newId = db.addStation(proposal.name, proposal.x, proposal.y);
     db.addTrack(connectionId, newId);
     
     logger.success(' ORCHESTRATOR: Execution Phase Complete.', proposal);
-    db.addEvent('CONSTRUCTION', `🏗️ Built ${proposal.name} at (${proposal.x}, ${proposal.y}) connected to Hub #${connectionId}`);
+    db.addEvent('CONSTRUCTION', `🏗️ Built ${proposal.name} at (${proposal.x}, ${proposal.y}) connected to Hub #${connectionId} for ${finance.formatMoney(quote.total)}`);
     
-    checkFleetBalance();
-    return { success: true, stationId: newId, ...proposal };
+    recordCycleOutcome(null);
+    db.finishAiRun(runId, 'success', { plan, stationId: newId, note: `Built ${proposal.name} for ${finance.formatMoney(quote.total)} after ${attempts} attempt(s)` });
+    
+    fleet.checkFleetBalance();
+    analytics.recordMetrics('build');
+    return { success: true, stationId: newId, runId, ...proposal };
   } catch (error) {
+    if (error.code === 'JOB_CANCELLED') {
+      logger.info(`🐅 ORCHESTRATOR: ${error.message}.`);
+      db.addEvent('SYSTEM', `🛑 Expansion cancelled: ${error.message.toLowerCase()}. Nothing was built.`);
+      db.finishAiRun(runId, 'cancelled', { plan, note: error.message });
+      return { success: false, runId, error: error.message, cancelled: true };
+    }
     logger.error('ORCHESTRATION Failed:', error.message);
     db.addEvent('SYSTEM', `⚠️ SYSTEM ERROR: ${error.message}`);
-    return { success: false, error: error.message };
+    recordCycleOutcome(error.message);
+    db.finishAiRun(runId, 'failed', { plan, note: error.message });
+    return { success: false, runId, error: error.message };
   }
 }
 
-// Auto-Spawn Trains Logic (Run after successful build)
-// Simple rule: 1 Train per 3 Stations
-async function checkFleetBalance() {
-  const stations = db.getStations();
-  const trains = db.getTrains();
-  
-  if (stations.length > trains.length * 3) {
-    logger.info('🚄 FLEET MANAGER: Spawning new train to meet demand...');
-    const startStation = stations[Math.floor(Math.random() * stations.length)];
-    const trainName = `Express-${String(trains.length + 1).padStart(2, '0')}`;
-    
-    db.addTrain(trainName, startStation.id);
-    db.addEvent('SYSTEM', `🚄 New Rolling Stock Acquired: ${trainName}`);
-  }
+function recordCycleOutcome(error) {
+  const state = db.getAgentState();
+  db.updateAgentState(error
+    ? { failures: state.failures + 1, consecutive_failures: state.consecutive_failures + 1, last_error: error }
+    : { successes: state.successes + 1, consecutive_failures: 0 });
+}
+
+/**
+ * Current plan and cycle counters, served by GET /api/ai/plan.
+ */
+function getAgentStatus() {
+  const state = db.getAgentState();
+  const now = Date.now();
+  const cooldownEnds = state.last_cycle_at ? Date.parse(state.last_cycle_at) + CYCLE_COOLDOWN_MS : 0;
+  return {
+    plan: state.plan,
+    planCreatedAt: state.plan_created_at,
+    planExpiresAt: state.plan_expires_at,
+    planExpired: !state.plan || now >= Date.parse(state.plan_expires_at),
+    lastCycleAt: state.last_cycle_at,
+    cooldownRemainingMs: Math.max(0, cooldownEnds - now),
+    cycles: state.cycles,
+    successes: state.successes,
+    failures: state.failures,
+    consecutiveFailures: state.consecutive_failures,
+    lastError: state.last_error
+  };
+}
+
+// The next cycle will brief the commander again
+function expirePlan() {
+  db.updateAgentState({ plan_expires_at: new Date().toISOString() });
+  db.addEvent('COMMANDER', '📜 Strategy expired on request. The commander will re-plan next cycle.');
+}
+
+/**
+ * Forces a fresh commander briefing now, recorded as its own audit run.
+ * Refused with status 409 while a build holds the expansion lock; gives up after REPLAN_TIMEOUT_MS.
+ */
+async function replan({ trigger = 'manual' } = {}) {
+  if (activeJob) return busyRefusal();
+  return withLock('re-plan', trigger, async (job) => {
+    const runId = db.addAiRun();
+    job.runId = runId;
+    const before = db.getAgentState().plan_created_at;
+    // A briefing still running at the time limit is abandoned, not awaited
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Re-plan timed out after ${REPLAN_TIMEOUT_MS / 1000}s`)), REPLAN_TIMEOUT_MS);
+    });
+    let plan;
+    try {
+      plan = await Promise.race([getDailyBriefing({ runId, attempt: 0 }, { force: true }), timeout]);
+    } catch (error) {
+      logger.error('RE-PLAN Failed:', error.message);
+      db.finishAiRun(runId, 'failed', { note: error.message });
+      return { success: false, runId, error: error.message, ...getAgentStatus() };
+    } finally {
+      clearTimeout(timer);
+    }
+    const refreshed = db.getAgentState().plan_created_at !== before;
+    db.finishAiRun(runId, refreshed ? 'success' : 'failed', {
+      plan,
+      note: refreshed ? 'Forced re-plan' : 'Forced re-plan failed; kept the safety-first fallback'
+    });
+    return { success: refreshed, runId, ...getAgentStatus() };
+  });
+}
+
+/**
+ * Whether an orchestration holds the expansion lock, and when the next cycle may start.
+ */
+function getExpansionStatus() {
+  const { cooldownRemainingMs, lastCycleAt } = getAgentStatus();
+  return { inProgress: Boolean(activeJob), job: describeJob(), lastCycleAt, cooldownRemainingMs };
+}
+
+// Deterministic validator verdicts go into the audit trail next to the agent calls
+function auditValidation(trace, check, stage = 'proposal') {
+  db.addAiDecision(trace.runId, {
+    attempt: trace.attempt,
+    role: 'validator',
+    task: stage === 'execution' ? 'validation:execution' : 'validation',
+    provider: 'rules',
+    parsed: { valid: check.valid, errors: check.errors },
+    latencyMs: 0,
+    outcome: check.valid ? 'ok' : 'rejected'
+  });
 }
 
 // Fallback Removed per User Request ("REMOVE OFFILINE WORKERS")
 
-module.exports = { expandNetwork };
+module.exports = { MAX_BUILD_ATTEMPTS, expandNetwork, getAgentStatus, getExpansionStatus, expirePlan, replan };
@@ -0,0 +1,309 @@
+/**
+ * AI Railway Simulation - Network Analytics Module
+ * Graph metrics of the network the agents build: connected components, station degree,
+ * betweenness centrality, diameter, track length, dead ends and spatial coverage.
+ * A summary row goes into network_metrics whenever the network has changed, for growth charts.
+ * The metrics of the current network are cached until a station or track changes.
+ */
+const db = require('./db');
+const logger = require('./logger');
+const routing = require('./routing');
+const { PIXELS_PER_KM, distanceKm, orientation } = require('./geometry');
+
+const CATCHMENT_RADIUS_KM = 25; // Area within this distance of a station counts as served
+const COVERAGE_CELLS = 40000; // Grid resolution for the served-area estimate
+const RECORD_INTERVAL = 5 * 60 * 1000; // How often the network is checked for changes
+const EPSILON = 1e-9; // Path lengths within this are equally short
+
+let recordTimer = null;
+let cached = null; // { key, metrics } for the network last measured
+
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Binary min-heap of values by priority
+function createHeap() {
+  const items = []; // [priority, value]
+  const less = (i, j) => items[i][0] < items[j][0];
+  const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+
+  return {
+    get size() { return items.length; },
+
+    push(priority, value) {
+      items.push([priority, value]);
+      for (let i = items.length - 1; i > 0 && less(i, (i - 1) >> 1); i = (i - 1) >> 1) swap(i, (i - 1) >> 1);
+    },
+
+    pop() {
+      const [, value] = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        for (let i = 0; ;) {
+          const left = 2 * i + 1;
+          let smallest = i;
+          if (left < items.length && less(left, smallest)) smallest = left;
+          if (left + 1 < items.length && less(left + 1, smallest)) smallest = left + 1;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return value;
+    }
+  };
+}
+
+/**
+ * Shortest paths from `source` (Dijkstra on a binary heap; stale heap entries are skipped).
+ * Returns the settled order, distances, shortest-path counts and predecessors, as Brandes needs.
+ */
+function shortestPaths(graph, source) {
+  const dist = new Map([[source, 0]]);
+  const sigma = new Map([[source, 1]]);
+  const preds = new Map([[source, []]]);
+  const order = [];
+  const settled = new Set();
+  const frontier = createHeap();
+  frontier.push(0, source);
+
+  while (frontier.size > 0) {
+    const current = frontier.pop();
+    if (settled.has(current)) continue;
+    settled.add(current);
+    order.push(current);
+
+    for (const edge of graph.get(current)) {
+      const candidate = dist.get(current) + edge.km;
+      const known = dist.get(edge.to);
+      if (known === undefined || candidate < known - EPSILON) {
+        dist.set(edge.to, candidate);
+        sigma.set(edge.to, sigma.get(current));
+        preds.set(edge.to, [current]);
+        frontier.push(candidate, edge.to);
+      } else if (Math.abs(candidate - known) <= EPSILON && !settled.has(edge.to)) {
+        sigma.set(edge.to, sigma.get(edge.to) + sigma.get(current));
+        preds.get(edge.to).push(current);
+      }
+    }
+  }
+  return { order, dist, sigma, preds };
+}
+
+/**
+ * Betweenness centrality by track distance (Brandes), normalised to 0..1, plus the network
+ * diameter: the longest of all shortest paths between stations that are connected at all.
+ */
+function pathMetrics(graph) {
+  const betweenness = new Map([...graph.keys()].map(id => [id, 0]));
+  let diameter = null;
+
+  for (const source of graph.keys()) {
+    const { order, dist, sigma, preds } = shortestPaths(graph, source);
+    const delta = new Map(order.map(id => [id, 0]));
+    for (let i = order.length - 1; i > 0; i--) {
+      const w = order[i];
+      for (const v of preds.get(w)) {
+        delta.set(v, delta.get(v) + (sigma.get(v) / sigma.get(w)) * (1 + delta.get(w)));
+      }
+      betweenness.set(w, betweenness.get(w) + delta.get(w));
+    }
+    for (const [target, km] of dist) {
+      if (!diameter || km > diameter.km) diameter = { km, fromId: source, toId: target };
+    }
+  }
+
+  // Every pair was counted from both ends
+  const n = graph.size;
+  const pairs = ((n - 1) * (n - 2)) / 2;
+  for (const [id, value] of betweenness) betweenness.set(id, pairs > 0 ? value / 2 / pairs : 0);
+  return { betweenness, diameter: diameter && diameter.km > 0 ? diameter : null };
+}
+
+// Convex hull (monotone chain), counter-clockwise
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+  const half = (list) => {
+    const hull = [];
+    for (const p of list) {
+      while (hull.length >= 2 && orientation(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+      hull.push(p);
+    }
+    hull.pop();
+    return hull;
+  };
+  return [...half(sorted), ...half(sorted.reverse())];
+}
+
+function polygonArea(points) {
+  let twice = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    twice += p.x * q.y - q.x * p.y;
+  });
+  return Math.abs(twice) / 2;
+}
+
+function insideHull(hull, p) {
+  return hull.length >= 3 && hull.every((a, i) => orientation(a, hull[(i + 1) % hull.length], p) >= 0);
+}
+
+/**
+ * Spatial coverage in km²: the convex hull of all stations, and the area within CATCHMENT_RADIUS_KM
+ * of any station, estimated on a grid. servedShareOfHull is how much of the hull is served.
+ */
+function coverageMetrics(stations) {
+  const points = stations.map(s => ({ x: s.x / PIXELS_PER_KM, y: s.y / PIXELS_PER_KM }));
+  const hull = convexHull(points);
+  const hullAreaKm2 = hull.length >= 3 ? polygonArea(hull) : 0;
+  if (points.length === 0) return { radiusKm: CATCHMENT_RADIUS_KM, hullAreaKm2: 0, servedAreaKm2: 0, servedShareOfHull: null };
+
+  const r = CATCHMENT_RADIUS_KM;
+  const minX = Math.min(...points.map(p => p.x)) - r;
+  const minY = Math.min(...points.map(p => p.y)) - r;
+  const width = Math.max(...points.map(p => p.x)) + r - minX;
+  const height = Math.max(...points.map(p => p.y)) + r - minY;
+  const cell = Math.max(1, Math.sqrt((width * height) / COVERAGE_CELLS));
+
+  // Stations bucketed by catchment-sized squares, so each cell checks its neighbours only
+  const buckets = new Map();
+  const bucketKey = (bx, by) => `${bx},${by}`;
+  for (const p of points) {
+    const key = bucketKey(Math.floor(p.x / r), Math.floor(p.y / r));
+    buckets.set(key, [...(buckets.get(key) || []), p]);
+  }
+  const served = (c) => {
+    const bx = Math.floor(c.x / r);
+    const by = Math.floor(c.y / r);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        if ((buckets.get(bucketKey(bx + dx, by + dy)) || []).some(p => (p.x - c.x) ** 2 + (p.y - c.y) ** 2 <= r * r)) return true;
+      }
+    }
+    return false;
+  };
+
+  let servedCells = 0;
+  let hullCells = 0;
+  let servedHullCells = 0;
+  for (let x = minX + cell / 2; x < minX + width; x += cell) {
+    for (let y = minY + cell / 2; y < minY + height; y += cell) {
+      const c = { x, y };
+      const isServed = served(c);
+      const inHull = insideHull(hull, c);
+      if (isServed) servedCells++;
+      if (inHull) hullCells++;
+      if (isServed && inHull) servedHullCells++;
+    }
+  }
+
+  return {
+    radiusKm: r,
+    hullAreaKm2: round(hullAreaKm2, 0),
+    servedAreaKm2: round(servedCells * cell * cell, 0),
+    servedShareOfHull: hullCells > 0 ? round(servedHullCells / hullCells, 3) : null
+  };
+}
+
+/**
+ * All metrics for the given network. Costly on a large one: callers go through getMetrics().
+ */
+function computeMetrics(stations, tracks) {
+  const graph = routing.buildGraph(stations, tracks);
+  const byId = new Map(stations.map(s => [s.id, s]));
+  const links = tracks.filter(t => byId.has(t.station_a_id) && byId.has(t.station_b_id));
+
+  const labels = routing.connectedComponents(graph);
+  const sizes = new Map();
+  for (const label of labels.values()) sizes.set(label, (sizes.get(label) || 0) + 1);
+  const componentSizes = [...sizes.values()].sort((a, b) => b - a);
+
+  const degrees = new Map(stations.map(s => [s.id, graph.get(s.id).length]));
+  const distribution = {};
+  for (const d of degrees.values()) distribution[d] = (distribution[d] || 0) + 1;
+
+  const { betweenness, diameter } = pathMetrics(graph);
+  const lengths = links.map(t => ({ km: distanceKm(byId.get(t.station_a_id), byId.get(t.station_b_id)), double: t.double_track }));
+
+  return {
+    computedAt: new Date().toISOString(),
+    stationCount: stations.length,
+    trackCount: links.length,
+    totalTrackKm: round(lengths.reduce((sum, t) => sum + t.km, 0)),
+    doubleTrackKm: round(lengths.filter(t => t.double).reduce((sum, t) => sum + t.km, 0)),
+    components: {
+      count: componentSizes.length,
+      sizes: componentSizes,
+      largestShare: stations.length ? round(componentSizes[0] / stations.length, 3) : null
+    },
+    degree: {
+      average: stations.length ? round((2 * links.length) / stations.length, 2) : 0,
+      max: Math.max(0, ...degrees.values()),
+      distribution
+    },
+    deadEnds: [...degrees.values()].filter(d => d === 1).length,
+    isolatedStations: [...degrees.values()].filter(d => d === 0).length,
+    diameter: diameter && {
+      km: round(diameter.km),
+      from: { id: diameter.fromId, name: byId.get(diameter.fromId).name },
+      to: { id: diameter.toId, name: byId.get(diameter.toId).name }
+    },
+    coverage: coverageMetrics(stations),
+    // Most central first: the stations most shortest paths run through
+    stations: stations
+      .map(s => ({ id: s.id, name: s.name, degree: degrees.get(s.id), betweenness: round(betweenness.get(s.id), 4) }))
+      .sort((a, b) => b.betweenness - a.betweenness || b.degree - a.degree || a.id - b.id)
+  };
+}
+
+// Station names and positions, and the tracks between them: what the metrics depend on
+function networkKey(stations, tracks) {
+  return JSON.stringify([
+    stations.map(s => [s.id, s.name, s.x, s.y]),
+    tracks.map(t => [t.id, t.station_a_id, t.station_b_id, Boolean(t.double_track)])
+  ]);
+}
+
+/**
+ * Metrics for the current network, served by GET /api/analytics. Recomputed only after
+ * stations or tracks have changed; computedAt tells when that was.
+ */
+function getMetrics() {
+  const stations = db.getStations();
+  const tracks = db.getTracks();
+  const key = networkKey(stations, tracks);
+  if (!cached || cached.key !== key) cached = { key, metrics: computeMetrics(stations, tracks) };
+  return cached.metrics;
+}
+
+/**
+ * Stores a history row when the network differs from the last one recorded.
+ * Returns the new row, or null when nothing changed (or the metrics could not be computed).
+ */
+function recordMetrics(trigger = 'interval') {
+  try {
+    const metrics = getMetrics();
+    const last = db.getMetricsHistory(1)[0];
+    if (last && last.station_count === metrics.stationCount && last.track_count === metrics.trackCount &&
+      last.total_track_km === metrics.totalTrackKm) {
+      return null;
+    }
+    const id = db.addMetricsRecord(trigger, metrics);
+    logger.info(`📈 ANALYTICS: Recorded network metrics (${metrics.stationCount} stations, ${metrics.totalTrackKm} km).`);
+    return db.getMetricsRecord(id);
+  } catch (error) {
+    logger.error('ANALYTICS Failed:', error.message);
+    return null;
+  }
+}
+
+function startAnalytics() {
+  if (recordTimer) return;
+  recordMetrics('boot');
+  recordTimer = setInterval(recordMetrics, RECORD_INTERVAL);
+  logger.info('📈 ANALYTICS: Network metrics recorder STARTED.');
+}
+
+module.exports = { CATCHMENT_RADIUS_KM, computeMetrics, getMetrics, recordMetrics, startAnalytics };
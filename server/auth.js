@@ -0,0 +1,190 @@
+/**
+ * AI Railway Simulation - Auth Module
+ * API tokens (Authorization: Bearer <token>) and cookie sessions for the UI, with three roles:
+ *   viewer   read-only; every visitor without credentials is a viewer
+ *   operator dispatch trains, edit the network, fleet and timetables
+ *   admin    reset, settings, AI control, imports, snapshot restores and token management
+ * ADMIN_TOKEN is the bootstrap admin credential; without it a one-off token is printed at boot.
+ * Every privileged action is recorded in the events table (type AUDIT).
+ */
+const crypto = require('crypto');
+const db = require('./db');
+const logger = require('./logger');
+const { sendError } = require('./validation');
+
+const { ROLES } = db;
+const SESSION_COOKIE = 'airail_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_NAME_LENGTH = 40;
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000; // last_used_at is a rough marker, not worth a write per request
+
+const ANONYMOUS = { name: 'anonymous', role: 'viewer', via: 'anonymous', tokenId: null };
+
+let adminToken = process.env.ADMIN_TOKEN || null;
+const lastTouched = new Map(); // token id -> when last_used_at was last written
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = (prefix) => `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+const rank = (role) => ROLES.indexOf(role);
+
+// Constant-time comparison, so the bootstrap token can't be guessed byte by byte
+function matchesAdminToken(secret) {
+  if (!adminToken) return false;
+  const a = Buffer.from(hash(secret));
+  const b = Buffer.from(hash(adminToken));
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Looks up an API token (or the bootstrap ADMIN_TOKEN). Returns a principal or null.
+ */
+function principalForToken(secret) {
+  if (typeof secret !== 'string' || !secret) return null;
+  if (matchesAdminToken(secret)) return { name: 'admin', role: 'admin', via: 'token', tokenId: null };
+  const token = db.findApiToken(hash(secret));
+  if (!token) return null;
+  const now = Date.now();
+  if (now - (lastTouched.get(token.id) || 0) >= TOKEN_TOUCH_INTERVAL_MS) {
+    db.touchApiToken(token.id);
+    lastTouched.set(token.id, now);
+  }
+  return { name: token.name, role: token.role, via: 'token', tokenId: token.id };
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function sessionCookie(req, value, maxAgeSeconds) {
+  const secure = req.secure || req.get('x-forwarded-proto') === 'https' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSeconds}${secure}`;
+}
+
+/**
+ * Middleware: resolves the caller into req.principal. A bearer token wins over a session cookie;
+ * a bad bearer token is refused rather than silently downgraded to viewer.
+ */
+function authenticate(req, res, next) {
+  const header = req.get('authorization') || '';
+  if (header) {
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    const principal = match ? principalForToken(match[1].trim()) : null;
+    if (!principal) return sendError(res, 401, 'Invalid API token');
+    req.principal = principal;
+    return next();
+  }
+
+  const sessionId = readCookie(req, SESSION_COOKIE);
+  const session = sessionId ? db.getSession(hash(sessionId)) : null;
+  req.principal = session
+    ? { name: session.name, role: session.role, via: 'session', tokenId: session.token_id, sessionId: session.id }
+    : ANONYMOUS;
+  next();
+}
+
+function audit(req, status) {
+  const { name, role, via } = req.principal;
+  db.addEvent('AUDIT', `🔐 ${name} (${role}, ${via}) ${req.method} ${req.originalUrl} → ${status}`);
+}
+
+/**
+ * Middleware factory: refuses callers below `role` (401 without credentials, 403 with too few rights)
+ * and audits the request once it has been answered.
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const principal = req.principal || ANONYMOUS;
+    if (rank(principal.role) < rank(role)) {
+      // Refusals go to the log only: anonymous callers must not be able to write to the database
+      logger.warn(`🔐 AUTH: Refused ${req.method} ${req.originalUrl} for ${principal.name} (${principal.role}); needs ${role}.`);
+      if (principal.via === 'anonymous') return sendError(res, 401, `Log in or send an API token: this action needs the ${role} role`);
+      return sendError(res, 403, `This action needs the ${role} role (you are ${principal.role})`);
+    }
+    res.on('finish', () => {
+      try {
+        audit(req, res.statusCode);
+      } catch (e) {
+        logger.error('AUTH Audit Failed:', e.message);
+      }
+    });
+    next();
+  };
+}
+
+/**
+ * Opens a UI session from an API token. Returns { principal, cookie } or { error, status }.
+ */
+function login(req, token) {
+  const principal = principalForToken(token);
+  if (!principal) {
+    logger.warn('🔐 AUTH: Failed login attempt.');
+    return { error: 'Invalid API token', status: 401 };
+  }
+
+  const sessionId = newSecret('sess');
+  db.pruneSessions();
+  db.addSession(hash(sessionId), {
+    tokenId: principal.tokenId,
+    name: principal.name,
+    role: principal.role,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+  });
+  db.addEvent('AUDIT', `🔐 ${principal.name} (${principal.role}) logged in`);
+  return { principal: { ...principal, via: 'session' }, cookie: sessionCookie(req, sessionId, SESSION_TTL_MS / 1000) };
+}
+
+function logout(req) {
+  if (req.principal.sessionId) {
+    db.deleteSession(req.principal.sessionId);
+    db.addEvent('AUDIT', `🔐 ${req.principal.name} (${req.principal.role}) logged out`);
+  }
+  return sessionCookie(req, '', 0);
+}
+
+function describePrincipal(principal) {
+  return { name: principal.name, role: principal.role, authenticated: principal.via !== 'anonymous', via: principal.via };
+}
+
+/**
+ * Validates a new token { name, role }. Returns an error message, or null when valid.
+ */
+function validateToken(input) {
+  const { name, role } = input || {};
+  if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  if (name.trim().length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  if (db.getApiTokens().some(t => t.name.toLowerCase() === name.trim().toLowerCase())) return `A token named "${name.trim()}" already exists`;
+  if (!ROLES.includes(role)) return `role must be one of: ${ROLES.join(', ')}`;
+  return null;
+}
+
+/**
+ * Issues an API token. The secret is returned once and only its hash is kept.
+ */
+function createToken({ name, role }) {
+  const token = newSecret('airail');
+  const id = db.addApiToken(name.trim(), role, hash(token));
+  return { id, name: name.trim(), role, token };
+}
+
+// Prints a one-off admin token when ADMIN_TOKEN is not configured, so a fresh install can log in
+function initAuth() {
+  if (adminToken) return;
+  adminToken = newSecret('admin');
+  console.log(`🔐 AUTH: ADMIN_TOKEN is not set. One-off admin token for this run: ${adminToken}`);
+}
+
+module.exports = {
+  ROLES,
+  authenticate,
+  requireRole,
+  login,
+  logout,
+  describePrincipal,
+  validateToken,
+  createToken,
+  initAuth
+};
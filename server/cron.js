@@ -0,0 +1,95 @@
+/**
+ * AI Railway Simulation - Cron Expressions
+ * Five-field cron (minute hour day-of-month month day-of-week), evaluated in UTC.
+ * Supports *, lists (0,30), ranges (8-18) and steps (8-18/2, or a step on *). Day of week 0 and 7 are Sunday.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const MAX_SEARCH_DAYS = 366 * 5; // Enough for "29 2 *" style leap-day schedules
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name} field "${part}"`);
+
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText) : 1;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (to === undefined) to = stepText ? max : from;
+
+    if (from < min || to > max) throw new Error(`${name} "${part}" is outside ${min}-${max}`);
+    if (from > to) throw new Error(`${name} range "${part}" runs backwards`);
+    if (step < 1) throw new Error(`${name} step must be at least 1`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parses an expression like "0 8-18/2 * * 1-5". Throws an Error with a readable message when invalid.
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields (got ${parts.length})`);
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    expression: parts.join(' '),
+    minutes, hours, days, months, weekdays,
+    // Classic cron: when both day fields are restricted, either one matching is enough.
+    // A field starting with * (such as */2) is not restricted, as in Vixie cron.
+    dayRestricted: !parts[2].startsWith('*'),
+    weekdayRestricted: !parts[4].startsWith('*')
+  };
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.days.has(date.getUTCDate());
+  const dow = cron.weekdays.has(date.getUTCDay());
+  if (cron.dayRestricted && cron.weekdayRestricted) return dom || dow;
+  return dom && dow;
+}
+
+function matches(cron, date) {
+  return cron.minutes.has(date.getUTCMinutes()) && cron.hours.has(date.getUTCHours()) &&
+    cron.months.has(date.getUTCMonth() + 1) && dayMatches(cron, date);
+}
+
+/**
+ * First matching minute strictly after `after`, or null if none within MAX_SEARCH_DAYS.
+ */
+function nextRun(cron, after = new Date()) {
+  const t = new Date(after.getTime());
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (t.getTime() <= limit) {
+    if (!cron.months.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0);
+    } else if (!dayMatches(cron, t)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0);
+    } else if (!cron.hours.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1);
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, matches, nextRun };
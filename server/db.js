@@ -1,86 +1,51 @@
 /**
- * AI Railway Simulation - Database Module (sql.js version)
+ * AI Railway Simulation - Database Module
  * Handles SQLite initialization and data access for stations, trains, and events.
+ * Queries go through a storage driver (server/storage) and rows come back keyed by column name.
  */
-const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
+const migrate = require('./migrate');
+const { openStorage } = require('./storage');
 
-const dataDir = path.join(__dirname, '..', 'data');
-const dbPath = path.join(dataDir, 'simulation.db');
+// DB_BACKEND picks the storage driver (see server/storage); DB_PATH moves the file, e.g. onto a persistent disk
+const backend = process.env.DB_BACKEND || 'sqljs';
+const dbPath = process.env.DB_PATH ? path.resolve(process.env.DB_PATH) : path.join(__dirname, '..', 'data', 'simulation.db');
+const backupDir = path.join(path.dirname(dbPath), 'backups');
 
 let db = null;
 
+// Starting treasury for a fresh network (see server/finance.js for prices)
+const INITIAL_CAPITAL = 50000000;
+
 async function initDatabase() {
-  const SQL = await initSqlJs();
-  
   // Ensure data directory exists
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
   
   // Load existing database or create new one
-  if (fs.existsSync(dbPath)) {
-    const buffer = fs.readFileSync(dbPath);
-    db = new SQL.Database(buffer);
-  } else {
-    db = new SQL.Database();
-  }
+  db = await openStorage(backend, dbPath);
+  console.log(`🗄️ DB: ${db.name} backend, ${dbPath}`);
   
-  // Initialize tables
-  db.run(`
-    CREATE TABLE IF NOT EXISTS stations (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      x REAL NOT NULL,
-      y REAL NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS trains (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      current_station_id INTEGER,
-      target_station_id INTEGER,
-      x REAL NOT NULL,
-      y REAL NOT NULL,
-      speed_kmh REAL DEFAULT 80,
-      departure_time DATETIME,
-      status TEXT DEFAULT 'idle',
-      FOREIGN KEY (current_station_id) REFERENCES stations(id),
-      FOREIGN KEY (target_station_id) REFERENCES stations(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS events (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      type TEXT NOT NULL,
-      message TEXT NOT NULL,
-      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS tracks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      station_a_id INTEGER,
-      station_b_id INTEGER,
-      FOREIGN KEY (station_a_id) REFERENCES stations(id),
-      FOREIGN KEY (station_b_id) REFERENCES stations(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS settings (
-      key TEXT PRIMARY KEY,
-      value TEXT
-    );
-  `);
+  // Bring the schema up to date (server/migrations), backing up the file first
+  const migration = migrate.runMigrations(db, { backupDir });
+  if (migration.applied.length) {
+    console.log(`🗄️ DB: Migrated schema v${migration.from} → v${migration.to} (${migration.applied.join(', ')})${migration.backup ? `. Backup: ${migration.backup}` : ''}`);
+  }
   
   // Seed initial settings
-  const hasAuto = db.exec("SELECT COUNT(*) FROM settings WHERE key = 'auto_enabled'")[0]?.values[0][0] || 0;
-  if (hasAuto === 0) {
-    db.run("INSERT INTO settings (key, value) VALUES ('auto_enabled', 'false')");
+  db.run("INSERT OR IGNORE INTO settings (key, value) VALUES ('auto_enabled', 'false')");
+  
+  // Agent state machine is a single row
+  db.run('INSERT OR IGNORE INTO agent_state (id) VALUES (1)');
+  
+  // Seed the treasury (also for databases created before the ledger existed)
+  if (count('ledger') === 0) {
+    db.run('INSERT INTO ledger (type, amount, description, balance_after) VALUES (?, ?, ?, ?)',
+      ['CAPITAL', INITIAL_CAPITAL, 'Initial capital', INITIAL_CAPITAL]);
   }
   
   // Seed initial data if empty
-  const stationCount = db.exec('SELECT COUNT(*) as count FROM stations')[0]?.values[0][0] || 0;
-  if (stationCount === 0) {
+  if (count('stations') === 0) {
     // Two initial stations - 150km apart (realistic inter-city distance)
     // Coordinates are in "km" units for realism (4px = 1km)
     db.run('INSERT INTO stations (name, x, y) VALUES (?, ?, ?)', ['Central Junction', 50, 300]);
@@ -94,156 +59,868 @@ async function initDatabase() {
     
     // Initial track
     db.run('INSERT INTO tracks (station_a_id, station_b_id) VALUES (?, ?)', [1, 2]);
-
-    saveDatabase();
   }
   
+  markDirty(); // Persist any migrations and seeds applied above
+  startPersistence();
   return db;
 }
 
-function saveDatabase() {
-  if (db) {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(dbPath, buffer);
-  }
+function count(table) {
+  return db.get(`SELECT COUNT(*) AS n FROM ${table}`).n;
+}
+
+// ============== PERSISTENCE ==============
+// Writes only mark the database dirty; the driver decides when that reaches disk
+// (sql.js: a timed atomic export, sqlite: already durable).
+
+function markDirty() {
+  db.markDirty();
+}
+
+/**
+ * Synchronous flush for shutdown paths (SIGTERM, process exit).
+ */
+function flushDatabaseSync() {
+  if (db) db.flushSync();
+}
+
+function startPersistence() {
+  db.startPersistence();
+  process.once('exit', flushDatabaseSync);
+}
+
+function getSchemaVersion() {
+  return migrate.getSchemaVersion(db);
+}
+
+function getPersistenceStats() {
+  return { backend: db.name, path: db.path, ...db.stats() };
+}
+
+const TRAIN_STATUSES = ['idle', 'moving', 'waiting'];
+const ROLES = ['viewer', 'operator', 'admin']; // Lowest first, see auth.js
+
+// Columns the dynamic UPDATEs may touch. Keys never come from requests (see validation.js), but a
+// typo or an unvalidated object must not reach the SQL text either.
+const TRAIN_COLUMNS = ['name', 'current_station_id', 'target_station_id', 'x', 'y', 'speed_kmh', 'departure_time', 'status', 'capacity', 'stock_class', 'acceleration'];
+const STATION_COLUMNS = ['name', 'x', 'y'];
+const AGENT_STATE_COLUMNS = ['plan', 'plan_created_at', 'plan_expires_at', 'last_cycle_at', 'cycles', 'successes', 'failures', 'consecutive_failures', 'last_error'];
+const EXPANSION_JOB_COLUMNS = ['status', 'phase', 'attempt', 'ai_run_id', 'station_id', 'error', 'started_at', 'phase_started_at', 'finished_at'];
+
+function setClause(table, data, allowed) {
+  const keys = Object.keys(data);
+  const unknown = keys.filter(k => !allowed.includes(k));
+  if (unknown.length) throw new Error(`Cannot update ${table}.${unknown.join(', ')}: not an updatable column`);
+  return keys.map(k => `${k} = ?`).join(', ');
 }
 
 function getStations() {
-  const result = db.exec('SELECT * FROM stations ORDER BY id');
-  if (!result[0]) return [];
-  return result[0].values.map(row => ({
-    id: row[0], name: row[1], x: row[2], y: row[3], created_at: row[4]
-  }));
+  return db.all('SELECT * FROM stations ORDER BY id');
 }
 
 function getTrains() {
-  const result = db.exec('SELECT * FROM trains');
-  if (!result[0]) return [];
-  return result[0].values.map(row => ({
-    id: row[0], name: row[1], current_station_id: row[2], target_station_id: row[3],
-    x: row[4], y: row[5], speed_kmh: row[6], departure_time: row[7], status: row[8]
-  }));
+  return db.all('SELECT * FROM trains');
 }
 
 function getTrain(id) {
-  const result = db.exec('SELECT * FROM trains WHERE id = ?', [id]);
-  if (!result[0]?.values[0]) return null;
-  const row = result[0].values[0];
-  return {
-    id: row[0], name: row[1], current_station_id: row[2], target_station_id: row[3],
-    x: row[4], y: row[5], speed_kmh: row[6], departure_time: row[7], status: row[8]
-  };
+  return db.get('SELECT * FROM trains WHERE id = ?', [id]);
 }
 
 function getStation(id) {
-  const result = db.exec('SELECT * FROM stations WHERE id = ?', [id]);
-  if (!result[0]?.values[0]) return null;
-  const row = result[0].values[0];
-  return { id: row[0], name: row[1], x: row[2], y: row[3], created_at: row[4] };
+  return db.get('SELECT * FROM stations WHERE id = ?', [id]);
 }
 
 function updateTrain(id, data) {
-  const fields = Object.keys(data).map(k => `${k} = ?`).join(', ');
-  const values = [...Object.values(data), id];
-  db.run(`UPDATE trains SET ${fields} WHERE id = ?`, values);
-  saveDatabase();
+  db.run(`UPDATE trains SET ${setClause('trains', data, TRAIN_COLUMNS)} WHERE id = ?`, [...Object.values(data), id]);
+  markDirty();
 }
 
 function addStation(name, x, y) {
-  db.run('INSERT INTO stations (name, x, y) VALUES (?, ?, ?)', [name, x, y]);
-  saveDatabase();
-  const result = db.exec('SELECT last_insert_rowid()');
-  return result[0].values[0][0];
+  const { lastInsertRowid: id } = db.run('INSERT INTO stations (name, x, y) VALUES (?, ?, ?)', [name, x, y]);
+  markDirty();
+  return id;
+}
+
+function updateStation(id, data) {
+  db.run(`UPDATE stations SET ${setClause('stations', data, STATION_COLUMNS)} WHERE id = ?`, [...Object.values(data), id]);
+  markDirty();
+}
+
+/**
+ * Removes a station with its tracks, the passengers travelling from or to it and its ridership counters.
+ * Trains and services must already have been moved off it (see network.js).
+ */
+function deleteStation(id) {
+  db.run('DELETE FROM tracks WHERE station_a_id = ? OR station_b_id = ?', [id, id]);
+  db.run('DELETE FROM passengers WHERE origin_id = ? OR destination_id = ?', [id, id]);
+  db.run("DELETE FROM ridership_stats WHERE scope = 'station' AND ref_id = ?", [id]);
+  db.run('DELETE FROM stations WHERE id = ?', [id]);
+  markDirty();
 }
 
+// Comms feed event types. Operators may post the manual ones through POST /api/events;
+// AUDIT is written only by the server (auth.js).
+const EVENT_TYPES = ['SYSTEM', 'DISPATCH', 'ARRIVAL', 'SIGNAL', 'AI_EXPANSION', 'AI_ERROR', 'COMMANDER', 'CONSTRUCTION',
+  'FINANCE', 'NETWORK', 'FLEET', 'TIMETABLE', 'AUDIT'];
+const MANUAL_EVENT_TYPES = ['SYSTEM', 'DISPATCH', 'NETWORK', 'FLEET', 'TIMETABLE'];
+
 function addEvent(type, message) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type ${type}`);
   db.run('INSERT INTO events (type, message) VALUES (?, ?)', [type, message]);
-  saveDatabase();
+  markDirty();
 }
 
 function getRecentEvents(limit = 20) {
-  const result = db.exec('SELECT * FROM events ORDER BY id DESC LIMIT ?', [limit]);
-  if (!result[0]) return [];
-  return result[0].values.map(row => ({
-    id: row[0], type: row[1], message: row[2], timestamp: row[3]
-  }));
+  return db.all('SELECT * FROM events ORDER BY id DESC LIMIT ?', [limit]);
 }
 
 function setSetting(key, value) {
   db.run('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', [key, String(value)]);
-  saveDatabase();
+  markDirty();
 }
 
 function getSetting(key, defaultValue = null) {
-  const result = db.exec('SELECT value FROM settings WHERE key = ?', [key]);
-  if (!result[0]?.values[0]) return defaultValue;
-  return result[0].values[0][0];
+  const row = db.get('SELECT value FROM settings WHERE key = ?', [key]);
+  return row ? row.value : defaultValue;
 }
 
 module.exports = {
+  TRAIN_STATUSES,
+  ROLES,
+  EVENT_TYPES,
+  MANUAL_EVENT_TYPES,
   initDatabase,
+  flushDatabaseSync,
+  getPersistenceStats,
+  getSchemaVersion,
   getStations,
   getTrains,
   getTrain,
   getStation,
   updateTrain,
   addStation,
+  updateStation,
+  deleteStation,
   addTrack,
+  getTrack,
+  findTrack,
+  updateTrack,
+  deleteTrack,
   addTrain,
+  deleteTrain,
+  getStockClasses,
+  getStockClass,
   addEvent,
   getRecentEvents,
   getTracks,
+  getTrainRoutes,
+  setTrainRoute,
+  clearTrainRoute,
+  getPassengerGroups,
+  addWaitingPassengers,
+  boardPassengers,
+  alightPassengers,
+  unloadTrain,
+  addRidership,
+  getRidership,
+  getBalance,
+  addLedgerEntry,
+  getLedger,
+  getLedgerTotals,
+  getServices,
+  getService,
+  addService,
+  updateService,
+  deleteService,
+  addServiceRun,
+  updateServiceRun,
+  findServiceRun,
+  getServiceRuns,
+  getRunningRuns,
+  getServiceArrivals,
+  recordServiceArrival,
+  getAgentState,
+  updateAgentState,
+  getAllSettings,
+  transaction,
+  replaceNetwork,
+  addSnapshot,
+  getSnapshots,
+  getSnapshot,
+  getSnapshotDocument,
+  deleteSnapshot,
+  pruneAutoSnapshots,
+  addScheduleRun,
+  finishScheduleRun,
+  getScheduleRuns,
+  countScheduleRuns,
+  addExpansionJob,
+  updateExpansionJob,
+  getExpansionJob,
+  getExpansionJobs,
+  getOpenExpansionJobs,
+  addMetricsRecord,
+  getMetricsRecord,
+  getMetricsHistory,
+  addAiRun,
+  finishAiRun,
+  addAiDecision,
+  getAiRuns,
+  getAiRun,
+  getAiDecisions,
+  getApiTokens,
+  findApiToken,
+  addApiToken,
+  touchApiToken,
+  deleteApiToken,
+  addSession,
+  getSession,
+  deleteSession,
+  pruneSessions,
   resetDatabase,
   setSetting,
   getSetting
 };
 
+function mapTrack(row) {
+  return { ...row, double_track: row.double_track === 1 };
+}
+
 function getTracks() {
-  const result = db.exec('SELECT * FROM tracks');
-  if (!result[0]) return [];
-  return result[0].values.map(row => ({
-    id: row[0], station_a_id: row[1], station_b_id: row[2]
-  }));
+  return db.all('SELECT * FROM tracks').map(mapTrack);
 }
 
-function addTrack(a, b) {
-  db.run('INSERT INTO tracks (station_a_id, station_b_id) VALUES (?, ?)', [a, b]);
-  saveDatabase();
+function getTrack(id) {
+  const row = db.get('SELECT * FROM tracks WHERE id = ?', [id]);
+  return row ? mapTrack(row) : null;
 }
 
-function addTrain(name, stationId) {
-  // Get Station Coords
-  const result = db.exec('SELECT x, y FROM stations WHERE id = ?', [stationId]);
-  if (!result[0]?.values[0]) return null;
-  const { x, y } = { x: result[0].values[0][0], y: result[0].values[0][1] };
-  
-  db.run('INSERT INTO trains (name, current_station_id, x, y, speed_kmh, status) VALUES (?, ?, ?, ?, ?, ?)', 
-    [name, stationId, x, y, 100 + Math.floor(Math.random() * 60), 'idle'] // Faster trains (100-160 km/h)
-  );
-  saveDatabase();
-  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+// Tracks are undirected: a - b and b - a are the same link
+function findTrack(a, b) {
+  const row = db.get('SELECT * FROM tracks WHERE (station_a_id = ? AND station_b_id = ?) OR (station_a_id = ? AND station_b_id = ?)', [a, b, b, a]);
+  return row ? mapTrack(row) : null;
+}
+
+function addTrack(a, b, doubleTrack = false) {
+  const { lastInsertRowid: id } = db.run('INSERT INTO tracks (station_a_id, station_b_id, double_track) VALUES (?, ?, ?)', [a, b, doubleTrack]);
+  markDirty();
+  return id;
+}
+
+function updateTrack(id, { doubleTrack }) {
+  db.run('UPDATE tracks SET double_track = ? WHERE id = ?', [doubleTrack, id]);
+  markDirty();
+}
+
+function deleteTrack(id) {
+  db.run('DELETE FROM tracks WHERE id = ?', [id]);
+  markDirty();
+}
+
+/**
+ * Puts a new train of a rolling-stock class (see getStockClasses) into service, idle at a station.
+ * The class's speed, capacity and acceleration are copied onto the train.
+ */
+function addTrain(name, stationId, stock) {
+  const station = db.get('SELECT x, y FROM stations WHERE id = ?', [stationId]);
+  if (!station) return null;
+
+  const { lastInsertRowid: id } = db.run('INSERT INTO trains (name, current_station_id, x, y, speed_kmh, status, capacity, stock_class, acceleration) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [name, stationId, station.x, station.y, stock.speed_kmh, 'idle', stock.capacity, stock.id, stock.acceleration]);
+  markDirty();
+  return id;
+}
+
+/**
+ * Removes a train with its route and ridership counters.
+ * Passengers aboard must already have been unloaded and services reassigned (see fleet.js).
+ */
+function deleteTrain(id) {
+  db.run('DELETE FROM train_routes WHERE train_id = ?', [id]);
+  db.run("DELETE FROM ridership_stats WHERE scope = 'train' AND ref_id = ?", [id]);
+  db.run('DELETE FROM trains WHERE id = ?', [id]);
+  markDirty();
+}
+
+// ============== ROLLING STOCK ==============
+// Classes of train that can be bought: top speed (km/h), passenger capacity,
+// acceleration and braking (m/s²) and purchase cost.
+
+function getStockClasses() {
+  return db.all('SELECT * FROM rolling_stock ORDER BY cost');
+}
+
+function getStockClass(id) {
+  return db.get('SELECT * FROM rolling_stock WHERE id = ?', [id]);
+}
+
+// Route stops are a JSON array of station ids, origin first; leg_index is the leg being travelled
+function getTrainRoutes() {
+  return db.all('SELECT * FROM train_routes').map(row => ({ ...row, stops: JSON.parse(row.stops) }));
+}
+
+function setTrainRoute(trainId, stops, legIndex = 0) {
+  db.run('INSERT OR REPLACE INTO train_routes (train_id, stops, leg_index) VALUES (?, ?, ?)',
+    [trainId, JSON.stringify(stops), legIndex]);
+  markDirty();
+}
+
+function clearTrainRoute(trainId) {
+  db.run('DELETE FROM train_routes WHERE train_id = ?', [trainId]);
+  markDirty();
+}
+
+// ============== PASSENGERS ==============
+// Passengers are stored as groups sharing an origin and destination.
+// train_id is NULL while a group waits at its origin station.
+
+function getPassengerGroups() {
+  return db.all('SELECT * FROM passengers ORDER BY id');
+}
+
+function addWaitingPassengers(originId, destinationId, count) {
+  const group = db.get('SELECT id FROM passengers WHERE origin_id = ? AND destination_id = ? AND train_id IS NULL', [originId, destinationId]);
+  if (group) {
+    db.run('UPDATE passengers SET count = count + ? WHERE id = ?', [count, group.id]);
+  } else {
+    db.run('INSERT INTO passengers (origin_id, destination_id, count) VALUES (?, ?, ?)', [originId, destinationId, count]);
+  }
+  markDirty();
+}
+
+// Moves `count` passengers of a waiting group onto a train
+function boardPassengers(groupId, trainId, count) {
+  const group = db.get('SELECT origin_id, destination_id, count FROM passengers WHERE id = ?', [groupId]);
+  if (!group) return;
+
+  if (count >= group.count) {
+    db.run('UPDATE passengers SET train_id = ? WHERE id = ?', [trainId, groupId]);
+  } else {
+    db.run('UPDATE passengers SET count = count - ? WHERE id = ?', [count, groupId]);
+    db.run('INSERT INTO passengers (origin_id, destination_id, train_id, count) VALUES (?, ?, ?, ?)', [group.origin_id, group.destination_id, trainId, count]);
+  }
+  markDirty();
+}
+
+// Removes passengers who reached their destination; returns the groups that got off
+function alightPassengers(trainId, stationId) {
+  const groups = db.all('SELECT origin_id, count FROM passengers WHERE train_id = ? AND destination_id = ?', [trainId, stationId]);
+  if (groups.length === 0) return [];
+  db.run('DELETE FROM passengers WHERE train_id = ? AND destination_id = ?', [trainId, stationId]);
+  markDirty();
+  return groups.map(g => ({ origin_id: g.origin_id, destination_id: stationId, count: g.count }));
+}
+
+// Everyone still aboard waits at this station for a connecting train; returns how many
+function unloadTrain(trainId, stationId) {
+  const groups = db.all('SELECT destination_id, count FROM passengers WHERE train_id = ?', [trainId]);
+  if (groups.length === 0) return 0;
+  db.run('DELETE FROM passengers WHERE train_id = ?', [trainId]);
+  let total = 0;
+  groups.forEach(({ destination_id, count }) => {
+    addWaitingPassengers(stationId, destination_id, count);
+    total += count;
+  });
+  markDirty();
+  return total;
+}
+
+/**
+ * Accumulates ridership counters. scope is 'station' or 'train'.
+ * loadFactor, when given, is one departure's load sample (0..1).
+ */
+function addRidership(scope, refId, { boarded = 0, alighted = 0, loadFactor = null } = {}) {
+  db.run('INSERT OR IGNORE INTO ridership_stats (scope, ref_id) VALUES (?, ?)', [scope, refId]);
+  db.run(`UPDATE ridership_stats SET boarded = boarded + ?, alighted = alighted + ?,
+    load_sum = load_sum + ?, load_samples = load_samples + ? WHERE scope = ? AND ref_id = ?`,
+    [boarded, alighted, loadFactor ?? 0, loadFactor === null ? 0 : 1, scope, refId]);
+  markDirty();
+}
+
+function getRidership(scope) {
+  return db.all('SELECT * FROM ridership_stats WHERE scope = ?', [scope]);
+}
+
+// ============== LEDGER ==============
+// Every money movement is a row; balance_after makes the latest row the treasury balance.
+
+function getBalance() {
+  const row = db.get('SELECT balance_after FROM ledger ORDER BY id DESC LIMIT 1');
+  return row ? row.balance_after : 0;
+}
+
+// amount is positive for income, negative for spending
+function addLedgerEntry(type, amount, description) {
+  const balance = getBalance() + amount;
+  db.run('INSERT INTO ledger (type, amount, description, balance_after) VALUES (?, ?, ?, ?)',
+    [type, amount, description, balance]);
+  markDirty();
+  return balance;
+}
+
+function getLedger(limit = 50, offset = 0) {
+  return db.all('SELECT * FROM ledger ORDER BY id DESC LIMIT ? OFFSET ?', [limit, offset]);
+}
+
+// Sums per entry type, optionally only entries newer than an SQLite datetime modifier (e.g. '-1 day')
+function getLedgerTotals(since = null) {
+  const rows = since
+    ? db.all("SELECT type, SUM(amount) AS total FROM ledger WHERE timestamp >= datetime('now', ?) GROUP BY type", [since])
+    : db.all('SELECT type, SUM(amount) AS total FROM ledger GROUP BY type');
+  const totals = {};
+  rows.forEach(({ type, total }) => { totals[type] = total; });
+  return totals;
+}
+
+// ============== TIMETABLES ==============
+// Departure times are 'HH:MM' (UTC, daily). Stops are station ids in calling order.
+
+function getServiceStops(serviceId) {
+  return db.all('SELECT station_id FROM service_stops WHERE service_id = ? ORDER BY seq', [serviceId]).map(row => row.station_id);
+}
+
+function getServiceDepartures(serviceId) {
+  return db.all('SELECT departure_time FROM service_departures WHERE service_id = ? ORDER BY departure_time', [serviceId]).map(row => row.departure_time);
+}
+
+function mapService(row) {
+  return {
+    ...row,
+    active: row.active === 1,
+    stops: getServiceStops(row.id),
+    departures: getServiceDepartures(row.id)
+  };
+}
+
+function getServices() {
+  return db.all('SELECT * FROM services ORDER BY id').map(mapService);
+}
+
+function getService(id) {
+  const row = db.get('SELECT * FROM services WHERE id = ?', [id]);
+  return row ? mapService(row) : null;
+}
+
+function writeServiceStops(serviceId, stationIds) {
+  db.run('DELETE FROM service_stops WHERE service_id = ?', [serviceId]);
+  stationIds.forEach((stationId, seq) => {
+    db.run('INSERT INTO service_stops (service_id, seq, station_id) VALUES (?, ?, ?)', [serviceId, seq, stationId]);
+  });
+}
+
+function writeServiceDepartures(serviceId, times) {
+  db.run('DELETE FROM service_departures WHERE service_id = ?', [serviceId]);
+  new Set(times).forEach(time => {
+    db.run('INSERT INTO service_departures (service_id, departure_time) VALUES (?, ?)', [serviceId, time]);
+  });
+}
+
+function addService({ name, train_id, active = true, stops, departures }) {
+  const { lastInsertRowid: id } = db.run('INSERT INTO services (name, train_id, active) VALUES (?, ?, ?)', [name, train_id, active]);
+  writeServiceStops(id, stops);
+  writeServiceDepartures(id, departures);
+  markDirty();
+  return id;
+}
+
+function updateService(id, { name, train_id, active, stops, departures }) {
+  if (name !== undefined) db.run('UPDATE services SET name = ? WHERE id = ?', [name, id]);
+  if (train_id !== undefined) db.run('UPDATE services SET train_id = ? WHERE id = ?', [train_id, id]);
+  if (active !== undefined) db.run('UPDATE services SET active = ? WHERE id = ?', [Boolean(active), id]);
+  if (stops !== undefined) writeServiceStops(id, stops);
+  if (departures !== undefined) writeServiceDepartures(id, departures);
+  markDirty();
+}
+
+function deleteService(id) {
+  db.run('DELETE FROM service_arrivals WHERE run_id IN (SELECT id FROM service_runs WHERE service_id = ?)', [id]);
+  db.run('DELETE FROM service_runs WHERE service_id = ?', [id]);
+  db.run('DELETE FROM service_departures WHERE service_id = ?', [id]);
+  db.run('DELETE FROM service_stops WHERE service_id = ?', [id]);
+  db.run('DELETE FROM services WHERE id = ?', [id]);
+  markDirty();
+}
+
+/**
+ * Records a run and its planned calls in one write.
+ * arrivals: [{ seq, station_id, route_index, planned_arrival, actual_arrival? }]
+ */
+function addServiceRun(serviceId, trainId, plannedDeparture, status, note = null, arrivals = []) {
+  const { lastInsertRowid: id } = db.run('INSERT INTO service_runs (service_id, train_id, planned_departure, status, note) VALUES (?, ?, ?, ?, ?)',
+    [serviceId, trainId, plannedDeparture, status, note]);
+  arrivals.forEach(a => {
+    db.run('INSERT INTO service_arrivals (run_id, seq, station_id, route_index, planned_arrival, actual_arrival) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, a.seq, a.station_id, a.route_index, a.planned_arrival, a.actual_arrival || null]);
+  });
+  markDirty();
+  return id;
+}
+
+function updateServiceRun(id, status, note = null) {
+  db.run('UPDATE service_runs SET status = ?, note = COALESCE(?, note) WHERE id = ?', [status, note, id]);
+  markDirty();
+}
+
+function findServiceRun(serviceId, plannedDeparture) {
+  return db.get('SELECT * FROM service_runs WHERE service_id = ? AND planned_departure = ?', [serviceId, plannedDeparture]);
+}
+
+function getServiceRuns(serviceId, limit = 20) {
+  return db.all('SELECT * FROM service_runs WHERE service_id = ? ORDER BY id DESC LIMIT ?', [serviceId, limit]);
+}
+
+function getRunningRuns() {
+  return db.all("SELECT * FROM service_runs WHERE status = 'running' ORDER BY id");
+}
+
+function getServiceArrivals(runIds) {
+  if (runIds.length === 0) return [];
+  return db.all(`SELECT * FROM service_arrivals WHERE run_id IN (${runIds.map(() => '?').join(', ')}) ORDER BY run_id, seq`, runIds);
+}
+
+function recordServiceArrival(runId, seq, actualArrival) {
+  db.run('UPDATE service_arrivals SET actual_arrival = ? WHERE run_id = ? AND seq = ?', [actualArrival, runId, seq]);
+  markDirty();
+}
+
+// ============== AI AUDIT TRAIL ==============
+// One ai_runs row per orchestration cycle; ai_decisions holds every agent call and validator verdict in it.
+
+const AI_RUNS_KEPT = 500;
+
+function mapAiRun(row) {
+  return { ...row, plan: row.plan ? JSON.parse(row.plan) : null };
+}
+
+function addAiRun() {
+  const { lastInsertRowid: id } = db.run('INSERT INTO ai_runs DEFAULT VALUES');
+  // Prompts are large: keep only the most recent runs
+  db.run('DELETE FROM ai_decisions WHERE run_id <= ?', [id - AI_RUNS_KEPT]);
+  db.run('DELETE FROM ai_runs WHERE id <= ?', [id - AI_RUNS_KEPT]);
+  markDirty();
+  return id;
+}
+
+function finishAiRun(id, outcome, { plan = null, stationId = null, note = null } = {}) {
+  db.run(`UPDATE ai_runs SET finished_at = CURRENT_TIMESTAMP, outcome = ?, plan = COALESCE(?, plan),
+    station_id = ?, note = ? WHERE id = ?`, [outcome, plan ? JSON.stringify(plan) : null, stationId, note, id]);
+  markDirty();
+}
+
+function addAiDecision(runId, d) {
+  db.run(`INSERT INTO ai_decisions (run_id, attempt, role, task, provider, model, prompt, raw_response, parsed, latency_ms, outcome, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [runId, d.attempt || 0, d.role, d.task, d.provider || null, d.model || null, d.prompt || null,
+      d.rawResponse ?? null, d.parsed === undefined ? null : JSON.stringify(d.parsed), d.latencyMs ?? null, d.outcome, d.error || null]);
+  markDirty();
+}
+
+// Newest first, with a decision count per run
+function getAiRuns(limit = 50, offset = 0) {
+  return db.all(`SELECT r.*, (SELECT COUNT(*) FROM ai_decisions d WHERE d.run_id = r.id) AS decisions
+    FROM ai_runs r ORDER BY r.id DESC LIMIT ? OFFSET ?`, [limit, offset]).map(mapAiRun);
+}
+
+function getAiRun(id) {
+  const row = db.get('SELECT * FROM ai_runs WHERE id = ?', [id]);
+  return row ? mapAiRun(row) : null;
+}
+
+function getAiDecisions(runId) {
+  return db.all('SELECT * FROM ai_decisions WHERE run_id = ? ORDER BY id', [runId])
+    .map(row => ({ ...row, parsed: row.parsed ? JSON.parse(row.parsed) : null }));
+}
+
+// ============== AGENT STATE ==============
+// Commander plan, cooldown clock and cycle counters survive restarts. Timestamps are ISO strings.
+
+function getAgentState() {
+  const { id, plan, ...state } = db.get('SELECT * FROM agent_state WHERE id = 1');
+  return { plan: plan ? JSON.parse(plan) : null, ...state };
+}
+
+function updateAgentState(data) {
+  const values = { ...data };
+  if ('plan' in values) values.plan = values.plan ? JSON.stringify(values.plan) : null;
+  db.run(`UPDATE agent_state SET ${setClause('agent_state', values, AGENT_STATE_COLUMNS)} WHERE id = 1`, Object.values(values));
+  markDirty();
+}
+
+// ============== EXPANSION SCHEDULE ==============
+// One row per scheduler firing, including skipped ones (pause window, daily limit). Times are ISO strings.
+
+function addScheduleRun(trigger, scheduledFor) {
+  const { lastInsertRowid: id } = db.run('INSERT INTO schedule_runs (trigger, scheduled_for, started_at) VALUES (?, ?, ?)',
+    [trigger, scheduledFor, new Date().toISOString()]);
+  markDirty();
+  return id;
+}
+
+function finishScheduleRun(id, result, { aiRunId = null, note = null } = {}) {
+  db.run('UPDATE schedule_runs SET finished_at = ?, result = ?, ai_run_id = ?, note = ? WHERE id = ?',
+    [new Date().toISOString(), result, aiRunId, note, id]);
+  markDirty();
+}
+
+function getScheduleRuns(limit = 50, offset = 0) {
+  return db.all('SELECT * FROM schedule_runs ORDER BY id DESC LIMIT ? OFFSET ?', [limit, offset]);
+}
+
+function countScheduleRuns(result, sinceIso) {
+  return db.get('SELECT COUNT(*) AS n FROM schedule_runs WHERE result = ? AND started_at >= ?', [result, sinceIso]).n;
+}
+
+// ============== EXPANSION JOBS ==============
+// One row per queued build (see jobs.js). status: queued | running | succeeded | failed | cancelled. Times are ISO strings.
+
+const EXPANSION_JOBS_KEPT = 500;
+
+function addExpansionJob(trigger) {
+  const { lastInsertRowid: id } = db.run('INSERT INTO expansion_jobs (trigger, created_at) VALUES (?, ?)', [trigger, new Date().toISOString()]);
+  db.run('DELETE FROM expansion_jobs WHERE id <= ?', [id - EXPANSION_JOBS_KEPT]);
+  markDirty();
+  return id;
+}
+
+function updateExpansionJob(id, data) {
+  db.run(`UPDATE expansion_jobs SET ${setClause('expansion_jobs', data, EXPANSION_JOB_COLUMNS)} WHERE id = ?`, [...Object.values(data), id]);
+  markDirty();
+}
+
+function getExpansionJob(id) {
+  return db.get('SELECT * FROM expansion_jobs WHERE id = ?', [id]) || null;
+}
+
+function getExpansionJobs(limit = 50, offset = 0) {
+  return db.all('SELECT * FROM expansion_jobs ORDER BY id DESC LIMIT ? OFFSET ?', [limit, offset]);
+}
+
+// Queued and running jobs, oldest first
+function getOpenExpansionJobs() {
+  return db.all("SELECT * FROM expansion_jobs WHERE status IN ('queued', 'running') ORDER BY id");
+}
+
+// ============== NETWORK METRICS ==============
+// Headline graph metrics over time (see analytics.js); one row per change of the network.
+
+const METRICS_RECORDS_KEPT = 5000;
+
+function addMetricsRecord(trigger, m) {
+  const { lastInsertRowid: id } = db.run(`INSERT INTO network_metrics (recorded_at, trigger, station_count, track_count, total_track_km,
+    component_count, average_degree, dead_ends, diameter_km, max_betweenness, hull_area_km2, served_area_km2, served_share)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [m.computedAt, trigger, m.stationCount, m.trackCount, m.totalTrackKm, m.components.count, m.degree.average, m.deadEnds,
+      m.diameter ? m.diameter.km : null, m.stations.length ? m.stations[0].betweenness : null,
+      m.coverage.hullAreaKm2, m.coverage.servedAreaKm2, m.coverage.servedShareOfHull]);
+  db.run('DELETE FROM network_metrics WHERE id <= ?', [id - METRICS_RECORDS_KEPT]);
+  markDirty();
+  return id;
+}
+
+function getMetricsRecord(id) {
+  return db.get('SELECT * FROM network_metrics WHERE id = ?', [id]) || null;
+}
+
+// Newest first
+function getMetricsHistory(limit = 50, offset = 0) {
+  return db.all('SELECT * FROM network_metrics ORDER BY id DESC LIMIT ? OFFSET ?', [limit, offset]);
+}
+
+// ============== SNAPSHOTS ==============
+// Import replaces the network wholesale; ids are kept so references inside the document stay valid.
+
+function getAllSettings() {
+  const settings = {};
+  db.all('SELECT key, value FROM settings ORDER BY key').forEach(({ key, value }) => { settings[key] = value; });
+  return settings;
+}
+
+/**
+ * Runs fn inside one transaction: every write lands, or none does. Returns fn's result.
+ */
+function transaction(fn) {
+  db.run('BEGIN');
+  try {
+    const result = fn();
+    db.run('COMMIT');
+    return result;
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Replaces stations, tracks, trains and services with the document's (see snapshots.js for the format).
+ * Trains arrive idle at their station; passengers, routes and service history are cleared.
+ * Settings are merged; events are replaced only when the document carries them. All or nothing.
+ */
+function replaceNetwork(doc) {
+  transaction(() => {
+    ['passengers', 'ridership_stats', 'service_arrivals', 'service_runs', 'service_departures',
+      'service_stops', 'services', 'train_routes', 'trains', 'tracks', 'stations'].forEach(table => db.run(`DELETE FROM ${table}`));
+    const stationsById = new Map();
+    doc.stations.forEach(s => {
+      db.run('INSERT INTO stations (id, name, x, y, created_at) VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))',
+        [s.id, s.name, s.x, s.y, s.created_at || null]);
+      stationsById.set(s.id, s);
+    });
+    doc.tracks.forEach(t => {
+      db.run('INSERT INTO tracks (id, station_a_id, station_b_id, double_track) VALUES (?, ?, ?, ?)',
+        [t.id, t.station_a_id, t.station_b_id, Boolean(t.double_track)]);
+    });
+    doc.trains.forEach(t => {
+      const station = stationsById.get(t.current_station_id);
+      db.run('INSERT INTO trains (id, name, current_station_id, x, y, speed_kmh, status, capacity, stock_class, acceleration) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [t.id, t.name, t.current_station_id, station.x, station.y, t.speed_kmh ?? 80, 'idle', t.capacity ?? 200, t.stock_class ?? null, t.acceleration ?? null]);
+    });
+    (doc.services || []).forEach(svc => {
+      db.run('INSERT INTO services (id, name, train_id, active) VALUES (?, ?, ?, ?)', [svc.id, svc.name, svc.train_id, svc.active !== false]);
+      writeServiceStops(svc.id, svc.stops);
+      writeServiceDepartures(svc.id, svc.departures);
+    });
+    Object.entries(doc.settings || {}).forEach(([key, value]) => {
+      db.run('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', [key, String(value)]);
+    });
+    if (doc.events) {
+      db.run('DELETE FROM events');
+      doc.events.forEach(e => {
+        db.run('INSERT INTO events (id, type, message, timestamp) VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))',
+          [e.id, e.type, e.message, e.timestamp || null]);
+      });
+    }
+  });
+  markDirty();
+}
+
+// The document column is left out of listings; use getSnapshotDocument for the payload
+const SNAPSHOT_COLUMNS = 'id, name, auto, station_count, created_at';
+
+function mapSnapshot(row) {
+  return { ...row, auto: row.auto === 1 };
+}
+
+function addSnapshot(name, document, auto = false) {
+  const { lastInsertRowid: id } = db.run('INSERT INTO snapshots (name, auto, station_count, document) VALUES (?, ?, ?, ?)',
+    [name, auto, document.stations.length, JSON.stringify(document)]);
+  markDirty();
+  return id;
+}
+
+function getSnapshots() {
+  return db.all(`SELECT ${SNAPSHOT_COLUMNS} FROM snapshots ORDER BY id DESC`).map(mapSnapshot);
+}
+
+// All digits is an id, anything else a name (snapshot names may not be all digits)
+function getSnapshot(idOrName) {
+  const byId = /^\d+$/.test(String(idOrName));
+  const row = db.get(`SELECT ${SNAPSHOT_COLUMNS} FROM snapshots WHERE ${byId ? 'id' : 'name'} = ?`, [byId ? Number(idOrName) : String(idOrName)]);
+  return row ? mapSnapshot(row) : null;
+}
+
+function getSnapshotDocument(id) {
+  const row = db.get('SELECT document FROM snapshots WHERE id = ?', [id]);
+  return row ? JSON.parse(row.document) : null;
+}
+
+function deleteSnapshot(id) {
+  db.run('DELETE FROM snapshots WHERE id = ?', [id]);
+  markDirty();
+}
+
+// Keeps the newest `keep` automatic snapshots
+function pruneAutoSnapshots(keep) {
+  db.run('DELETE FROM snapshots WHERE auto = 1 AND id NOT IN (SELECT id FROM snapshots WHERE auto = 1 ORDER BY id DESC LIMIT ?)', [keep]);
+  markDirty();
+}
+
+// ============== AUTH ==============
+// Only SHA-256 hashes of API tokens and session ids are stored. Both survive a simulation reset.
+
+function getApiTokens() {
+  return db.all('SELECT id, name, role, created_at, last_used_at FROM api_tokens ORDER BY id');
+}
+
+function findApiToken(tokenHash) {
+  return db.get('SELECT id, name, role, created_at, last_used_at FROM api_tokens WHERE token_hash = ?', [tokenHash]);
+}
+
+function addApiToken(name, role, tokenHash) {
+  const { lastInsertRowid: id } = db.run('INSERT INTO api_tokens (name, role, token_hash) VALUES (?, ?, ?)', [name, role, tokenHash]);
+  markDirty();
+  return id;
+}
+
+function touchApiToken(id) {
+  db.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  markDirty();
+}
+
+// Revoking a token also ends the sessions opened with it
+function deleteApiToken(id) {
+  db.run('DELETE FROM sessions WHERE token_id = ?', [id]);
+  db.run('DELETE FROM api_tokens WHERE id = ?', [id]);
+  markDirty();
+}
+
+function addSession(idHash, { tokenId, name, role, expiresAt }) {
+  db.run('INSERT INTO sessions (id, token_id, name, role, expires_at) VALUES (?, ?, ?, ?, ?)', [idHash, tokenId, name, role, expiresAt]);
+  markDirty();
+}
+
+// Expired sessions are never returned
+function getSession(idHash) {
+  return db.get('SELECT * FROM sessions WHERE id = ? AND expires_at > ?', [idHash, new Date().toISOString()]);
+}
+
+function deleteSession(idHash) {
+  db.run('DELETE FROM sessions WHERE id = ?', [idHash]);
+  markDirty();
+}
+
+function pruneSessions() {
+  db.run('DELETE FROM sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+  markDirty();
 }
 
 function resetDatabase() {
   if (!db) return;
+  db.run('DELETE FROM schedule_runs');
+  db.run('DELETE FROM expansion_jobs');
+  db.run('DELETE FROM network_metrics');
+  db.run('DELETE FROM agent_state');
+  db.run('INSERT INTO agent_state (id) VALUES (1)');
+  db.run('DELETE FROM ai_decisions');
+  db.run('DELETE FROM ai_runs');
+  db.run('DELETE FROM passengers');
+  db.run('DELETE FROM ridership_stats');
+  db.run('DELETE FROM ledger');
+  db.run('DELETE FROM service_arrivals');
+  db.run('DELETE FROM service_runs');
+  db.run('DELETE FROM service_departures');
+  db.run('DELETE FROM service_stops');
+  db.run('DELETE FROM services');
+  db.run('DELETE FROM train_routes');
   db.run('DELETE FROM trains');
   db.run('DELETE FROM events');
   db.run('DELETE FROM stations');
   db.run('DELETE FROM tracks');
-  
+
   try {
     db.run('DELETE FROM sqlite_sequence'); // Reset Auto-Increment counters
   } catch (e) {
     // Table might not exist yet, ignore
   }
-  
+
   // Re-seed with initial data - IDs will now regenerate starting at 1
   db.run('INSERT INTO stations (name, x, y) VALUES (?, ?, ?)', ['Central Junction', 50, 300]);
   db.run('INSERT INTO stations (name, x, y) VALUES (?, ?, ?)', ['Northfield Terminal', 650, 300]);
   db.run('INSERT INTO tracks (station_a_id, station_b_id) VALUES (?, ?)', [1, 2]);
   db.run('INSERT INTO trains (name, current_station_id, x, y, speed_kmh, status) VALUES (?, ?, ?, ?, ?, ?)', ['Express-01', 1, 50, 300, 80, 'idle']);
   db.run('INSERT INTO events (type, message) VALUES (?, ?)', ['SYSTEM', 'Simulation reset. Systems online.']);
-  
-  saveDatabase();
+  db.run('INSERT INTO ledger (type, amount, description, balance_after) VALUES (?, ?, ?, ?)',
+    ['CAPITAL', INITIAL_CAPITAL, 'Initial capital', INITIAL_CAPITAL]);
+
+  markDirty();
 }
@@ -0,0 +1,236 @@
+/**
+ * AI Railway Simulation - Expansion Scheduler
+ * The single trigger for autonomous builds: a UTC cron expression or a fixed interval,
+ * capped at a number of builds per UTC day and silenced during pause windows.
+ * Settings live in the settings table; every firing is recorded in schedule_runs.
+ */
+const db = require('./db');
+const logger = require('./logger');
+const cron = require('./cron');
+const jobs = require('./jobs');
+
+const CHECK_INTERVAL = 30000; // Cron resolution is one minute
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DEFAULTS = {
+  mode: 'cron',
+  cron: '0 */2 * * *', // Every even UTC hour, as the original heartbeat did
+  intervalMinutes: 120,
+  maxBuildsPerDay: 12, // 0 = unlimited
+  pauseWindows: [] // [{ start: 'HH:MM', end: 'HH:MM' }] UTC, may wrap past midnight
+};
+
+let checkTimer = null;
+let nextRunAt = null;
+let running = false;
+
+function getScheduleSettings() {
+  return {
+    mode: db.getSetting('schedule_mode', DEFAULTS.mode),
+    cron: db.getSetting('schedule_cron', DEFAULTS.cron),
+    intervalMinutes: Number(db.getSetting('schedule_interval_minutes', DEFAULTS.intervalMinutes)),
+    maxBuildsPerDay: Number(db.getSetting('schedule_max_builds_per_day', DEFAULTS.maxBuildsPerDay)),
+    pauseWindows: JSON.parse(db.getSetting('schedule_pause_windows', JSON.stringify(DEFAULTS.pauseWindows)))
+  };
+}
+
+/**
+ * Validates a partial settings payload. Returns an error message, or null when valid.
+ */
+function validateScheduleSettings(input) {
+  if (!input || typeof input !== 'object') return 'schedule must be an object';
+  const { mode, cron: expression, intervalMinutes, maxBuildsPerDay, pauseWindows } = input;
+
+  if (mode !== undefined && mode !== 'cron' && mode !== 'interval') return "mode must be 'cron' or 'interval'";
+  if (expression !== undefined) {
+    try {
+      if (!cron.nextRun(cron.parseCron(expression))) return `cron "${expression}" never fires`;
+    } catch (error) {
+      return error.message;
+    }
+  }
+  if (intervalMinutes !== undefined && !(Number.isInteger(intervalMinutes) && intervalMinutes >= 1)) {
+    return 'intervalMinutes must be a whole number of minutes (at least 1)';
+  }
+  if (maxBuildsPerDay !== undefined && !(Number.isInteger(maxBuildsPerDay) && maxBuildsPerDay >= 0)) {
+    return 'maxBuildsPerDay must be a whole number (0 = unlimited)';
+  }
+  if (pauseWindows !== undefined) {
+    if (!Array.isArray(pauseWindows)) return 'pauseWindows must be an array of { start, end }';
+    for (const w of pauseWindows) {
+      if (!TIME_PATTERN.test(w?.start) || !TIME_PATTERN.test(w?.end)) return `Pause window times must be "HH:MM" UTC (got ${JSON.stringify(w)})`;
+      if (w.start === w.end) return `Pause window ${w.start}-${w.end} is empty`;
+    }
+  }
+  return null;
+}
+
+// Settings table keys of the schedule fields
+const SETTING_KEYS = {
+  mode: 'schedule_mode',
+  cron: 'schedule_cron',
+  intervalMinutes: 'schedule_interval_minutes',
+  maxBuildsPerDay: 'schedule_max_builds_per_day',
+  pauseWindows: 'schedule_pause_windows'
+};
+
+/**
+ * Validates schedule_* keys as the settings table stores them (strings, pause windows as JSON),
+ * e.g. the settings of an imported document. Returns an error message, or null when valid.
+ */
+function validateStoredScheduleSettings(settings) {
+  const known = Object.values(SETTING_KEYS);
+  const unknown = Object.keys(settings).find(key => key.startsWith('schedule_') && !known.includes(key));
+  if (unknown) return `${unknown} is not a schedule setting`;
+
+  const input = {};
+  for (const [field, key] of Object.entries(SETTING_KEYS)) {
+    if (settings[key] === undefined) continue;
+    const value = String(settings[key]);
+    if (field === 'pauseWindows') {
+      try {
+        input.pauseWindows = JSON.parse(value);
+      } catch (error) {
+        return `${key} must be a JSON array of { start, end }`;
+      }
+    } else {
+      input[field] = field === 'mode' || field === 'cron' ? value : Number(value);
+    }
+  }
+  return validateScheduleSettings(input);
+}
+
+function updateScheduleSettings(input) {
+  if (input.mode !== undefined) db.setSetting('schedule_mode', input.mode);
+  if (input.cron !== undefined) db.setSetting('schedule_cron', cron.parseCron(input.cron).expression);
+  if (input.intervalMinutes !== undefined) db.setSetting('schedule_interval_minutes', input.intervalMinutes);
+  if (input.maxBuildsPerDay !== undefined) db.setSetting('schedule_max_builds_per_day', input.maxBuildsPerDay);
+  if (input.pauseWindows !== undefined) {
+    db.setSetting('schedule_pause_windows', JSON.stringify(input.pauseWindows.map(({ start, end }) => ({ start, end }))));
+  }
+  if (checkTimer) nextRunAt = computeNextRun(new Date());
+}
+
+function minutesOfDay(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// The window containing `date`, if any. End is exclusive; start > end wraps past midnight.
+function activePauseWindow(date, windows) {
+  const now = date.getUTCHours() * 60 + date.getUTCMinutes();
+  return windows.find(({ start, end }) => {
+    const s = minutesOfDay(start);
+    const e = minutesOfDay(end);
+    return s < e ? now >= s && now < e : now >= s || now < e;
+  }) || null;
+}
+
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())).toISOString();
+}
+
+function computeNextRun(from) {
+  const settings = getScheduleSettings();
+  if (settings.mode === 'interval') {
+    // Count from the last firing so restarts don't reset the interval
+    const last = db.getScheduleRuns(1)[0];
+    const base = last ? Date.parse(last.scheduled_for) : from.getTime();
+    return new Date(Math.max(base + settings.intervalMinutes * 60000, from.getTime()));
+  }
+  // Cron slots missed while the server was down are not caught up
+  return cron.nextRun(cron.parseCron(settings.cron), from);
+}
+
+async function fire(scheduledFor) {
+  const settings = getScheduleSettings();
+  const runId = db.addScheduleRun(settings.mode, scheduledFor.toISOString());
+
+  const pause = activePauseWindow(new Date(), settings.pauseWindows);
+  if (pause) {
+    db.finishScheduleRun(runId, 'skipped', { note: `Paused (${pause.start}-${pause.end} UTC)` });
+    logger.info(`🕒 EXPANSION SCHEDULER: Skipped, inside pause window ${pause.start}-${pause.end} UTC.`);
+    return;
+  }
+
+  const buildsToday = db.countScheduleRuns('success', startOfUtcDay(new Date()));
+  if (settings.maxBuildsPerDay > 0 && buildsToday >= settings.maxBuildsPerDay) {
+    db.finishScheduleRun(runId, 'skipped', { note: `Daily build limit reached (${buildsToday}/${settings.maxBuildsPerDay})` });
+    logger.info('🕒 EXPANSION SCHEDULER: Skipped, daily build limit reached.');
+    return;
+  }
+
+  logger.info('🕒 EXPANSION SCHEDULER: Triggering expansion...');
+  try {
+    // The build queues behind any manual ones; a full queue only postpones this slot
+    const submitted = jobs.submitExpansion({ trigger: 'schedule' });
+    if (submitted.error) {
+      db.finishScheduleRun(runId, 'skipped', { note: submitted.error });
+      logger.info(`🕒 EXPANSION SCHEDULER: Skipped. ${submitted.error}`);
+      return;
+    }
+    const job = await jobs.waitForJob(submitted.job.id);
+    const succeeded = job?.status === 'succeeded';
+    db.finishScheduleRun(runId, succeeded ? 'success' : job?.status === 'cancelled' ? 'skipped' : 'failed', {
+      aiRunId: job?.ai_run_id || null,
+      note: succeeded ? `Built ${db.getStation(job.station_id)?.name || `station #${job.station_id}`}` : job?.error || 'Expansion job was removed'
+    });
+  } catch (error) {
+    logger.error('EXPANSION SCHEDULER Failed:', error.message);
+    db.finishScheduleRun(runId, 'failed', { note: error.message });
+  }
+}
+
+async function check() {
+  if (running || !nextRunAt || Date.now() < nextRunAt.getTime()) return;
+  const scheduledFor = nextRunAt;
+  running = true;
+  try {
+    await fire(scheduledFor);
+  } finally {
+    running = false;
+    nextRunAt = computeNextRun(new Date());
+  }
+}
+
+/**
+ * Settings plus live scheduler state, served under `schedule` by GET /api/settings.
+ */
+function getScheduleStatus() {
+  const settings = getScheduleSettings();
+  const now = new Date();
+  const pause = activePauseWindow(now, settings.pauseWindows);
+  return {
+    ...settings,
+    active: Boolean(checkTimer),
+    running,
+    nextRunAt: checkTimer && nextRunAt ? nextRunAt.toISOString() : null,
+    pausedNow: Boolean(pause),
+    buildsToday: db.countScheduleRuns('success', startOfUtcDay(now))
+  };
+}
+
+function startExpansionScheduler() {
+  if (checkTimer) return;
+  nextRunAt = computeNextRun(new Date());
+  logger.info(`🤖 EXPANSION SCHEDULER: STARTED. Next run ${nextRunAt ? nextRunAt.toISOString() : 'never'}.`);
+  checkTimer = setInterval(check, CHECK_INTERVAL);
+}
+
+function stopExpansionScheduler() {
+  if (!checkTimer) return;
+  clearInterval(checkTimer);
+  checkTimer = null;
+  nextRunAt = null;
+  logger.info('🤖 EXPANSION SCHEDULER: STOPPED.');
+}
+
+module.exports = {
+  getScheduleSettings,
+  validateScheduleSettings,
+  validateStoredScheduleSettings,
+  updateScheduleSettings,
+  getScheduleStatus,
+  startExpansionScheduler,
+  stopExpansionScheduler
+};
@@ -0,0 +1,163 @@
+/**
+ * AI Railway Simulation - Finance Module
+ * Treasury ledger: construction costs, train purchases, per-km running costs and passenger fares.
+ */
+const db = require('./db');
+const logger = require('./logger');
+const simulation = require('./simulation');
+const { distanceKm } = require('./geometry');
+
+// Price list
+const STATION_COST = 2000000;
+const TRACK_COST_PER_KM = 20000;
+const RUNNING_COST_PER_KM = 10; // Per train-km
+const FARE_BASE = 5;
+const FARE_PER_KM = 0.2;
+
+function formatMoney(amount) {
+  const sign = amount < 0 ? '-' : '';
+  const abs = Math.abs(amount);
+  if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(1)}K`;
+  return `${sign}$${abs.toFixed(0)}`;
+}
+
+/**
+ * Quote for one new station plus the track linking it to an existing station.
+ */
+function quoteStationBuild(newStation, connectTo) {
+  const trackKm = connectTo ? distanceKm(newStation, connectTo) : 0;
+  return {
+    station: STATION_COST,
+    track: Math.round(trackKm * TRACK_COST_PER_KM),
+    trackKm,
+    total: STATION_COST + Math.round(trackKm * TRACK_COST_PER_KM)
+  };
+}
+
+function canAfford(amount) {
+  return db.getBalance() >= amount;
+}
+
+// Refuses the debit (with a comms-feed note) when the treasury cannot cover it
+function debit(type, amount, description, refusal) {
+  const balance = db.getBalance();
+  if (balance < amount) {
+    const error = `Insufficient funds: ${description} costs ${formatMoney(amount)}, treasury holds ${formatMoney(balance)}`;
+    db.addEvent('FINANCE', `💸 ${refusal} refused. ${error}`);
+    logger.warn(`💰 FINANCE: ${error}`);
+    return { success: false, error };
+  }
+  return { success: true, balance: db.addLedgerEntry(type, -amount, description) };
+}
+
+/**
+ * Debits a construction cost. Returns { success, balance } or { success: false, error } when funds are short.
+ */
+function chargeConstruction(amount, description) {
+  return debit('CONSTRUCTION', amount, description, 'Build');
+}
+
+/**
+ * Debits a rolling-stock purchase, like chargeConstruction.
+ */
+function chargeFleet(amount, description) {
+  return debit('FLEET', amount, description, 'Purchase');
+}
+
+// Fares are charged by straight-line trip distance when passengers alight
+function collectFares(train, station, groups) {
+  let revenue = 0;
+  let riders = 0;
+  for (const group of groups) {
+    const origin = db.getStation(group.origin_id);
+    const km = origin ? distanceKm(origin, station) : 0;
+    revenue += group.count * (FARE_BASE + km * FARE_PER_KM);
+    riders += group.count;
+  }
+  if (revenue > 0) {
+    db.addLedgerEntry('FARE', Math.round(revenue), `${riders} fares on ${train.name} at ${station.name}`);
+  }
+}
+
+// Running costs are booked per completed leg
+function chargeRunningCost(train, station, { routeIndex, route }) {
+  const from = db.getStation(route[routeIndex - 1]);
+  if (!from) return;
+  const km = distanceKm(from, station);
+  db.addLedgerEntry('OPERATING', -Math.round(km * RUNNING_COST_PER_KM), `${train.name} ${from.name} → ${station.name} (${km.toFixed(0)} km)`);
+}
+
+/**
+ * Balance sheet served by /api/finance.
+ */
+function getBalanceSheet() {
+  const totals = db.getLedgerTotals();
+  const lastDay = db.getLedgerTotals('-1 day');
+  const stationsById = new Map(db.getStations().map(s => [s.id, s]));
+  const trackKm = db.getTracks().reduce((sum, t) => {
+    const a = stationsById.get(t.station_a_id);
+    const b = stationsById.get(t.station_b_id);
+    return a && b ? sum + distanceKm(a, b) : sum;
+  }, 0);
+
+  return {
+    balance: db.getBalance(),
+    totals: {
+      capital: totals.CAPITAL || 0,
+      fares: totals.FARE || 0,
+      construction: totals.CONSTRUCTION || 0,
+      fleet: totals.FLEET || 0,
+      operating: totals.OPERATING || 0
+    },
+    last24h: {
+      fares: lastDay.FARE || 0,
+      construction: lastDay.CONSTRUCTION || 0,
+      fleet: lastDay.FLEET || 0,
+      operating: lastDay.OPERATING || 0
+    },
+    assets: {
+      stations: stationsById.size,
+      trackKm: Number(trackKm.toFixed(1)),
+      trains: db.getTrains().length
+    },
+    prices: {
+      station: STATION_COST,
+      trackPerKm: TRACK_COST_PER_KM,
+      runningPerKm: RUNNING_COST_PER_KM,
+      fareBase: FARE_BASE,
+      farePerKm: FARE_PER_KM,
+      rollingStock: Object.fromEntries(db.getStockClasses().map(c => [c.id, c.cost]))
+    }
+  };
+}
+
+/**
+ * One-paragraph financial summary for the commander prompt.
+ */
+function getBriefingSummary() {
+  const sheet = getBalanceSheet();
+  const net = sheet.last24h.fares + sheet.last24h.operating + sheet.last24h.construction + sheet.last24h.fleet;
+  return `Treasury ${formatMoney(sheet.balance)}. Last 24h: fares ${formatMoney(sheet.last24h.fares)}, ` +
+    `running costs ${formatMoney(sheet.last24h.operating)}, construction ${formatMoney(sheet.last24h.construction)}, ` +
+    `trains ${formatMoney(sheet.last24h.fleet)} ` +
+    `(net ${formatMoney(net)}). A station costs ${formatMoney(STATION_COST)} plus ${formatMoney(TRACK_COST_PER_KM)} per km of track.`;
+}
+
+function startFinance() {
+  simulation.onArrival(chargeRunningCost);
+}
+
+module.exports = {
+  STATION_COST,
+  TRACK_COST_PER_KM,
+  formatMoney,
+  quoteStationBuild,
+  canAfford,
+  chargeConstruction,
+  chargeFleet,
+  collectFares,
+  getBalanceSheet,
+  getBriefingSummary,
+  startFinance
+};
@@ -0,0 +1,249 @@
+/**
+ * AI Railway Simulation - Fleet Module
+ * Buying, renaming, reassigning and retiring trains, and the fleet manager that grows the fleet
+ * with the network. New trains are bought from a rolling-stock class (db.getStockClasses) and
+ * charged to the treasury; the fleet manager picks class and depot from waiting passengers.
+ */
+const db = require('./db');
+const logger = require('./logger');
+const finance = require('./finance');
+const { distanceKm } = require('./geometry');
+
+const STATIONS_PER_TRAIN = 3; // The fleet manager buys once the network outgrows its fleet
+const INTERCITY_TRIP_KM = 100; // Waiting trips this long on average are worth faster, bigger stock
+const MAX_NAME_LENGTH = 40;
+
+const isId = (v) => Number.isInteger(v) && v > 0;
+
+function validateName(name, { id = null } = {}) {
+  if (typeof name !== 'string' || !name.trim()) return 'name must be a non-empty string';
+  if (name.trim().length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  const taken = db.getTrains().find(t => t.id !== id && t.name.trim().toLowerCase() === name.trim().toLowerCase());
+  if (taken) return `Train name "${name.trim()}" is already taken by train ${taken.id}`;
+  return null;
+}
+
+/**
+ * Validates a purchase { stockClass, stationId, name }. Every field is optional: the fleet manager
+ * picks what is missing. Returns an error message, or null when valid.
+ */
+function validatePurchase(input) {
+  const { stockClass, stationId, name } = input || {};
+  if (stockClass !== undefined && !db.getStockClass(stockClass)) {
+    return `stockClass must be one of: ${db.getStockClasses().map(c => c.id).join(', ')}`;
+  }
+  if (stationId !== undefined && !(isId(stationId) && db.getStation(stationId))) return `Station ${stationId} not found`;
+  if (name !== undefined) return validateName(name);
+  return null;
+}
+
+/**
+ * Validates a train edit { name, stationId }. Returns an error message, or null when valid.
+ */
+function validateTrainUpdate(train, input) {
+  const { name, stationId } = input || {};
+  if (name === undefined && stationId === undefined) return 'Nothing to change: send name and/or stationId';
+  if (name !== undefined) {
+    const error = validateName(name, { id: train.id });
+    if (error) return error;
+  }
+  if (stationId !== undefined && !(isId(stationId) && db.getStation(stationId))) return `Station ${stationId} not found`;
+  return null;
+}
+
+// Services that name the train, whether or not they are running
+function servicesFor(trainId) {
+  return db.getServices().filter(s => s.train_id === trainId);
+}
+
+/**
+ * Trains with their rolling-stock class and assigned services, served by GET /api/trains.
+ */
+function describeTrain(train, classesById = new Map(db.getStockClasses().map(c => [c.id, c]))) {
+  const stock = classesById.get(train.stock_class);
+  return {
+    ...train,
+    stock: stock ? { id: stock.id, name: stock.name } : null,
+    services: servicesFor(train.id).map(s => ({ id: s.id, name: s.name, active: s.active }))
+  };
+}
+
+function describeFleet() {
+  const classesById = new Map(db.getStockClasses().map(c => [c.id, c]));
+  return db.getTrains().map(train => describeTrain(train, classesById));
+}
+
+// Next free "<Class>-NN" name, e.g. Commuter-03
+function nextTrainName(stock) {
+  const pattern = new RegExp(`^${stock.name}-(\\d+)$`, 'i');
+  const used = db.getTrains().map(t => pattern.exec(t.name)).filter(Boolean).map(m => parseInt(m[1]));
+  return `${stock.name}-${String(Math.max(0, ...used) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Unmet demand per station: passengers waiting there, the mean length of their trips,
+ * and the seats on trains already standing there.
+ */
+function stationDemand() {
+  const stations = db.getStations();
+  const stationsById = new Map(stations.map(s => [s.id, s]));
+  const demand = new Map(stations.map(s => [s.id, { station: s, waiting: 0, passengerKm: 0, seats: 0 }]));
+
+  for (const g of db.getPassengerGroups()) {
+    const entry = demand.get(g.origin_id);
+    const destination = stationsById.get(g.destination_id);
+    if (g.train_id !== null || !entry || !destination) continue;
+    entry.waiting += g.count;
+    entry.passengerKm += g.count * distanceKm(entry.station, destination);
+  }
+  for (const t of db.getTrains()) {
+    const entry = demand.get(t.current_station_id);
+    if (entry && t.status !== 'moving') entry.seats += t.capacity;
+  }
+
+  return [...demand.values()].map(d => ({
+    station: d.station,
+    waiting: d.waiting,
+    unmet: d.waiting - d.seats,
+    averageTripKm: d.waiting > 0 ? d.passengerKm / d.waiting : 0
+  }));
+}
+
+/**
+ * Chooses what the fleet manager would buy next: the depot is the station with the most
+ * passengers left waiting after the seats already there, falling back to the best-connected
+ * station when nobody is waiting; long average trips there call for intercity stock,
+ * short ones for commuter stock. Freight is only bought on request (there is no freight demand).
+ * Returns { stock, depot, reason } or null when no passenger stock is affordable.
+ */
+function planAcquisition({ stockClass, stationId } = {}) {
+  const demand = stationDemand();
+  let depot = stationId !== undefined ? demand.find(d => d.station.id === stationId) : null;
+  if (!depot) {
+    depot = demand
+      .filter(d => d.unmet > 0)
+      .sort((a, b) => b.unmet - a.unmet || a.station.id - b.station.id)[0];
+  }
+  if (!depot) {
+    const tracks = db.getTracks();
+    const degree = (id) => tracks.filter(t => t.station_a_id === id || t.station_b_id === id).length;
+    depot = demand.slice().sort((a, b) => degree(b.station.id) - degree(a.station.id) || a.station.id - b.station.id)[0];
+  }
+
+  if (stockClass !== undefined) {
+    return { stock: db.getStockClass(stockClass), depot: depot.station, reason: 'ordered by the operator' };
+  }
+
+  const wanted = depot.averageTripKm >= INTERCITY_TRIP_KM ? 'intercity' : 'commuter';
+  const balance = db.getBalance();
+  const passengerStock = db.getStockClasses().filter(c => c.capacity > 0);
+  const stock = [passengerStock.find(c => c.id === wanted), ...passengerStock.slice().reverse()]
+    .find(c => c && c.cost <= balance);
+  if (!stock) return null;
+
+  const reason = depot.waiting > 0
+    ? `${depot.waiting} waiting at ${depot.station.name}, average trip ${depot.averageTripKm.toFixed(0)} km`
+    : `no passengers waiting; ${depot.station.name} is the best-connected station`;
+  return { stock, depot: depot.station, reason };
+}
+
+/**
+ * Buys a train and puts it into service idle at its depot.
+ * Returns { train } or { error, status }.
+ */
+function buyTrain({ stockClass, stationId, name } = {}) {
+  const plan = planAcquisition({ stockClass, stationId });
+  if (!plan) {
+    return { error: `Insufficient funds: no passenger stock is affordable with ${finance.formatMoney(db.getBalance())}`, status: 402 };
+  }
+
+  const { stock, depot, reason } = plan;
+  const trainName = name !== undefined ? name.trim() : nextTrainName(stock);
+  const payment = finance.chargeFleet(stock.cost, `${stock.name} train ${trainName}`);
+  if (!payment.success) return { error: payment.error, status: 402 };
+
+  const id = db.addTrain(trainName, depot.id, stock);
+  db.addEvent('FLEET', `🚄 New Rolling Stock Acquired: ${trainName} (${stock.name}, ${finance.formatMoney(stock.cost)}) based at ${depot.name} - ${reason}`);
+  logger.info(`🚄 FLEET: Train ${id} bought (${stock.id} at ${depot.name}).`);
+  return { train: describeTrain(db.getTrain(id)) };
+}
+
+/**
+ * Renames a train and/or reassigns it to another depot. Moving between depots needs an idle train;
+ * passengers aboard are left waiting at the station it leaves.
+ * Returns { train } or { error, status }.
+ */
+function updateTrain(train, { name, stationId }) {
+  const renamed = name !== undefined && name.trim() !== train.name ? name.trim() : null;
+  const depot = stationId !== undefined && stationId !== train.current_station_id ? db.getStation(stationId) : null;
+  if (depot && train.status !== 'idle') {
+    return { error: `${train.name} is ${train.status}; reassign it once it is idle`, status: 409 };
+  }
+
+  db.transaction(() => {
+    if (renamed) {
+      db.updateTrain(train.id, { name: renamed });
+      db.addEvent('FLEET', `🚄 ${train.name} renamed to ${renamed}`);
+    }
+    if (depot) {
+      const from = db.getStation(train.current_station_id);
+      db.unloadTrain(train.id, train.current_station_id);
+      db.updateTrain(train.id, { current_station_id: depot.id, x: depot.x, y: depot.y });
+      db.addEvent('FLEET', `🚄 ${renamed || train.name} reassigned from ${from?.name || 'its depot'} to ${depot.name}`);
+    }
+  });
+  return { train: describeTrain(db.getTrain(train.id)) };
+}
+
+/**
+ * Takes an idle train out of service. Trains still named by a timetable service are refused
+ * until the service is given another train or withdrawn. Nothing is refunded.
+ * Returns { success } or { error, status, services }.
+ */
+function retireTrain(train) {
+  if (train.status !== 'idle') {
+    return { error: `${train.name} is ${train.status}; retire it once it is idle`, status: 409 };
+  }
+  const services = servicesFor(train.id);
+  if (services.length) {
+    return {
+      error: `${train.name} runs ${services.map(s => s.name).join(', ')}. Assign another train or withdraw the service first.`,
+      status: 409,
+      services: services.map(s => ({ id: s.id, name: s.name }))
+    };
+  }
+
+  const station = db.getStation(train.current_station_id);
+  db.transaction(() => {
+    const stranded = db.unloadTrain(train.id, train.current_station_id);
+    db.deleteTrain(train.id);
+    const note = stranded ? ` (${stranded} passengers left waiting)` : '';
+    db.addEvent('FLEET', `🚄 ${train.name} retired at ${station?.name || 'its depot'}${note}`);
+  });
+  logger.info(`🚄 FLEET: Train ${train.id} retired.`);
+  return { success: true };
+}
+
+// Fleet manager (run after a successful build): one train per STATIONS_PER_TRAIN stations
+function checkFleetBalance() {
+  const stations = db.getStations();
+  const trains = db.getTrains();
+  if (stations.length <= trains.length * STATIONS_PER_TRAIN) return null;
+
+  logger.info('🚄 FLEET MANAGER: Buying a new train to meet demand...');
+  const result = buyTrain();
+  if (result.error) logger.warn(`🚄 FLEET MANAGER: ${result.error}`);
+  return result;
+}
+
+module.exports = {
+  validatePurchase,
+  validateTrainUpdate,
+  describeTrain,
+  describeFleet,
+  planAcquisition,
+  buyTrain,
+  updateTrain,
+  retireTrain,
+  checkFleetBalance
+};
@@ -0,0 +1,50 @@
+/**
+ * AI Railway Simulation - Geometry Helpers
+ * Map coordinates are pixels; 4px = 1km (shared with public/js/game.js).
+ */
+const PIXELS_PER_KM = 4;
+
+function distanceKm(a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  return Math.sqrt(dx * dx + dy * dy) / PIXELS_PER_KM;
+}
+
+// Signed area of the triangle a-b-c: >0 counter-clockwise, <0 clockwise, 0 collinear
+function orientation(a, b, c) {
+  return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+function onSegment(a, b, p) {
+  return Math.min(a.x, b.x) <= p.x && p.x <= Math.max(a.x, b.x) &&
+    Math.min(a.y, b.y) <= p.y && p.y <= Math.max(a.y, b.y);
+}
+
+/**
+ * Whether segment a1-a2 crosses or overlaps segment b1-b2.
+ * Touching at a shared endpoint (a junction station) does not count.
+ */
+function segmentsCross(a1, a2, b1, b2) {
+  const same = (p, q) => p.x === q.x && p.y === q.y;
+  if (same(a1, b1) || same(a1, b2) || same(a2, b1) || same(a2, b2)) {
+    // Shared station: only a collinear overlap beyond it is a crossing
+    const d1 = orientation(a1, a2, b1);
+    const d2 = orientation(a1, a2, b2);
+    if (d1 !== 0 || d2 !== 0) return false;
+    const shared = [b1, b2].find(p => same(p, a1) || same(p, a2));
+    const otherB = same(shared, b1) ? b2 : b1;
+    const otherA = same(shared, a1) ? a2 : a1;
+    return onSegment(a1, a2, otherB) || onSegment(b1, b2, otherA);
+  }
+
+  const d1 = orientation(b1, b2, a1);
+  const d2 = orientation(b1, b2, a2);
+  const d3 = orientation(a1, a2, b1);
+  const d4 = orientation(a1, a2, b2);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+
+  return (d1 === 0 && onSegment(b1, b2, a1)) || (d2 === 0 && onSegment(b1, b2, a2)) ||
+    (d3 === 0 && onSegment(a1, a2, b1)) || (d4 === 0 && onSegment(a1, a2, b2));
+}
+
+module.exports = { PIXELS_PER_KM, distanceKm, orientation, segmentsCross };
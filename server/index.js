@@ -10,11 +10,30 @@ const db = require('./db');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // Network imports can be large
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
 const agents = require('./agents');
+const jobs = require('./jobs');
+const providers = require('./providers');
+const expansionScheduler = require('./expansion-scheduler');
+const simulation = require('./simulation');
+const stream = require('./stream');
+const timetable = require('./timetable');
+const passengers = require('./passengers');
+const finance = require('./finance');
+const snapshots = require('./snapshots');
+const network = require('./network');
+const fleet = require('./fleet');
+const analytics = require('./analytics');
 const keepAlive = require('./keep-alive');
+const auth = require('./auth');
+const { requireRole } = auth;
+const { validate, sendError, sendFailure, notFound, errorHandler } = require('./validation');
+const { createRateLimit, rateLimited, clientKey } = require('./rate-limit');
+
+// Sets req.principal (viewer when anonymous); routes that change anything demand a role with requireRole
+app.use('/api', auth.authenticate);
 
 // ============== API ROUTES ==============
 
@@ -23,20 +42,47 @@ app.get('/ping', (req, res) => {
   res.status(200).send('pong');
 });
 
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()), schemaVersion: db.getSchemaVersion(), persistence: db.getPersistenceStats() });
+});
+
 // Get/Set Settings
 app.get('/api/settings', (req, res) => {
   const autoEnabled = db.getSetting('auto_enabled', 'false') === 'true';
-  res.json({ autoEnabled });
+  res.json({
+    autoEnabled,
+    schedule: expansionScheduler.getScheduleStatus(),
+    agents: providers.getAssignments(),
+    providers: providers.PROVIDERS
+  });
 });
 
-app.post('/api/settings', (req, res) => {
-  const { autoEnabled } = req.body;
+app.post('/api/settings', requireRole('admin'), validate('updateSettings'), (req, res) => {
+  const { autoEnabled, schedule, agents: roles } = req.body;
+
+  // schedule: { mode: 'cron'|'interval', cron, intervalMinutes, maxBuildsPerDay, pauseWindows: [{ start, end }] }
+  if (schedule !== undefined) {
+    const error = expansionScheduler.validateScheduleSettings(schedule);
+    if (error) return sendError(res, 400, error);
+  }
+
+  // agents: { commander: 'gemini', engineer: 'openai:qwen2.5', surveyor: '' } - empty string = automatic
+  if (roles !== undefined) {
+    for (const [role, spec] of Object.entries(roles)) {
+      const error = providers.validateAssignment(role, spec);
+      if (error) return sendError(res, 400, error);
+    }
+    for (const [role, spec] of Object.entries(roles)) providers.setAssignment(role, spec);
+  }
+
+  if (schedule !== undefined) expansionScheduler.updateScheduleSettings(schedule);
+
   if (autoEnabled !== undefined) {
     db.setSetting('auto_enabled', autoEnabled);
     if (autoEnabled) {
-      startServerSideExpansion();
+      expansionScheduler.startExpansionScheduler();
     } else {
-      stopServerSideExpansion();
+      expansionScheduler.stopExpansionScheduler();
     }
   }
   res.json({ success: true });
@@ -45,151 +91,514 @@ app.post('/api/settings', (req, res) => {
 // Get full simulation state
 app.get('/api/state', (req, res) => {
   res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
-  const stations = db.getStations();
-  const trains = db.getTrains();
-  const tracks = db.getTracks();
-  const events = db.getRecentEvents(30);
-  res.json({ stations, trains, tracks, events });
+  res.json(stream.buildSnapshot());
 });
 
+// Live state stream (Server-Sent Events): one snapshot, then incremental diffs
+app.get('/api/stream', stream.handleStream);
+
 // Dispatch a train to a station
-app.post('/api/train/:id/dispatch', (req, res) => {
+app.post('/api/train/:id/dispatch', requireRole('operator'), validate('dispatchTrain'), (req, res) => {
   const trainId = parseInt(req.params.id);
   const { targetStationId } = req.body;
   
   const train = db.getTrain(trainId);
-  if (!train) return res.status(404).json({ error: `Train ${trainId} not found` });
+  if (!train) return sendError(res, 404, `Train ${trainId} not found`);
 
   const targetStation = db.getStation(targetStationId);
-  if (!targetStation) return res.status(404).json({ error: `Station ${targetStationId} not found` });
+  if (!targetStation) return sendError(res, 404, `Station ${targetStationId} not found`);
 
-  const sourceStation = db.getStation(train.current_station_id);
-  
   // Prevent dispatching to same station
   if (train.current_station_id == targetStationId) {
-    return res.status(400).json({ error: 'Train is already at the target station' });
+    return sendError(res, 400, 'Train is already at the target station');
+  }
+
+  if (train.status === 'moving' || train.status === 'waiting') {
+    return sendError(res, 409, `${train.name} is already en route`);
   }
   
-  // Calculate distance
-  const dx = targetStation.x - train.x;
-  const dy = targetStation.y - train.y;
-  const distancePx = Math.sqrt(dx * dx + dy * dy);
-  const distanceKm = distancePx / 4;
-  
-  const timeHours = distanceKm / train.speed_kmh;
-  const timeMinutes = Math.round(timeHours * 60);
+  const result = simulation.dispatchTrain(train, targetStation);
+  if (result.error) return sendError(res, 400, result.error);
   
-  db.updateTrain(trainId, {
-    target_station_id: targetStationId,
-    departure_time: new Date().toISOString(),
-    status: 'moving'
+  const route = result.route.map(id => {
+    const station = db.getStation(id);
+    return { id, name: station.name };
   });
-  
-  db.addEvent('DISPATCH', `🚂 ${train.name} dispatched to ${targetStation.name} (${distanceKm.toFixed(1)} km)`);
-  
-  res.json({ success: true, distanceKm: distanceKm.toFixed(1), etaMinutes: timeMinutes });
+  res.json({ success: true, held: result.held, route, distanceKm: result.distanceKm.toFixed(1), etaMinutes: result.etaMinutes });
 });
 
-// Update train position (called by simulation tick)
-app.post('/api/train/:id/update', (req, res) => {
-  const trainId = parseInt(req.params.id);
+// Update train position (manual override - movement itself is server-driven)
+app.post('/api/train/:id/update', requireRole('operator'), validate('overrideTrain'), (req, res) => {
+  const train = db.getTrain(parseInt(req.params.id));
+  if (!train) return sendError(res, 404, `Train ${req.params.id} not found`);
+
   const { x, y, status, current_station_id } = req.body;
+  if (current_station_id !== undefined && !db.getStation(current_station_id)) {
+    return sendError(res, 404, `Station ${current_station_id} not found`);
+  }
+  // Only the simulation puts a train in motion: a moving train without a target would never arrive
+  const relocating = current_station_id !== undefined;
+  if ((status === 'moving' || status === 'waiting') && (relocating || !train.target_station_id)) {
+    return sendError(res, 409, `${train.name} has no destination to be ${status} for; dispatch it instead`);
+  }
   
   const updates = {};
   if (x !== undefined) updates.x = x;
   if (y !== undefined) updates.y = y;
   if (status !== undefined) updates.status = status;
-  if (current_station_id !== undefined) {
-    updates.current_station_id = current_station_id;
+  if (relocating) updates.current_station_id = current_station_id;
+  // Relocating or idling a train ends its journey, as parking it in network.deleteStation does
+  const stopping = relocating || (status === 'idle' && train.status !== 'idle');
+  if (stopping) {
+    updates.status = 'idle';
     updates.target_station_id = null;
     updates.departure_time = null;
   }
   
-  db.updateTrain(trainId, updates);
+  if (Object.keys(updates).length === 0) return sendError(res, 400, 'Nothing to change: send x, y, status and/or current_station_id');
+
+  db.transaction(() => {
+    db.updateTrain(train.id, updates);
+    if (!stopping) return;
+    db.clearTrainRoute(train.id);
+    db.getRunningRuns().filter(r => r.train_id === train.id).forEach(r => {
+      db.updateServiceRun(r.id, 'incomplete', `Manual override by ${req.principal.name}`);
+    });
+  });
   res.json({ success: true });
 });
 
 // Add event to comms feed
-app.post('/api/events', (req, res) => {
+app.post('/api/events', requireRole('operator'), validate('addEvent'), (req, res) => {
   const { type, message } = req.body;
-  db.addEvent(type, message);
+  if (!message.trim()) return sendError(res, 400, 'message must not be empty');
+  db.addEvent(type, message.trim());
+  res.json({ success: true });
+});
+
+// Ridership: waiting passengers, loads and totals per station and train
+app.get('/api/passengers', (req, res) => {
+  res.json(passengers.getReport());
+});
+
+// ============== AUTH ==============
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(auth.describePrincipal(req.principal));
+});
+
+// Body { token }: opens a session cookie for the UI
+app.post('/api/auth/login', validate('login'), (req, res) => {
+  const result = auth.login(req, req.body.token);
+  if (result.error) return sendFailure(res, result);
+  res.set('Set-Cookie', result.cookie);
+  res.json(auth.describePrincipal(result.principal));
+});
+
+app.post('/api/auth/logout', validate('noBody'), (req, res) => {
+  res.set('Set-Cookie', auth.logout(req));
+  res.json({ success: true });
+});
+
+app.get('/api/auth/tokens', requireRole('admin'), (req, res) => {
+  res.json({ tokens: db.getApiTokens() });
+});
+
+// Body { name, role }: the token secret is only shown in this response
+app.post('/api/auth/tokens', requireRole('admin'), validate('createToken'), (req, res) => {
+  const error = auth.validateToken(req.body);
+  if (error) return sendError(res, 400, error);
+  res.status(201).json(auth.createToken(req.body));
+});
+
+app.delete('/api/auth/tokens/:id', requireRole('admin'), validate('byId'), (req, res) => {
+  const token = db.getApiTokens().find(t => t.id === parseInt(req.params.id));
+  if (!token) return sendError(res, 404, `Token ${req.params.id} not found`);
+  db.deleteApiToken(token.id);
   res.json({ success: true });
 });
 
-// AI Expansion endpoint
-// AI Expansion endpoint
-app.post('/api/expand', async (req, res) => {
+// ============== FINANCE ==============
+
+app.get('/api/finance', (req, res) => {
+  res.json(finance.getBalanceSheet());
+});
+
+app.get('/api/finance/transactions', validate('listPage'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const offset = parseInt(req.query.offset) || 0;
+  res.json({ transactions: db.getLedger(limit, offset), limit, offset });
+});
+
+// ============== ANALYTICS ==============
+
+// Graph metrics of the current network, recomputed only after it has changed
+app.get('/api/analytics', (req, res) => {
+  res.json(analytics.getMetrics());
+});
+
+// Recorded metrics (newest first), one row per change of the network
+app.get('/api/analytics/history', validate('listPage'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const offset = parseInt(req.query.offset) || 0;
+  res.json({ history: db.getMetricsHistory(limit, offset), limit, offset });
+});
+
+// ============== TIMETABLES ==============
+
+app.get('/api/timetables', (req, res) => {
+  const services = db.getServices().map(s => ({ ...s, punctuality: timetable.getPunctuality(s.id) }));
+  res.json({ services });
+});
+
+app.get('/api/timetables/:id', validate('byId'), (req, res) => {
+  const service = db.getService(parseInt(req.params.id));
+  if (!service) return sendError(res, 404, `Service ${req.params.id} not found`);
+  res.json(timetable.describeService(service));
+});
+
+app.post('/api/timetables', requireRole('operator'), validate('createService'), (req, res) => {
+  const error = timetable.validateService(req.body);
+  if (error) return sendError(res, 400, error);
+
+  const { name, trainId, stops, departures, active } = req.body;
+  const id = db.addService({ name: name.trim(), train_id: trainId, stops, departures, active: active !== false });
+  db.addEvent('TIMETABLE', `🕒 New service: ${name.trim()} (${departures.join(', ')} UTC)`);
+  res.status(201).json(db.getService(id));
+});
+
+app.put('/api/timetables/:id', requireRole('operator'), validate('updateService'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!db.getService(id)) return sendError(res, 404, `Service ${req.params.id} not found`);
+
+  const error = timetable.validateService(req.body, { partial: true });
+  if (error) return sendError(res, 400, error);
+
+  const { name, trainId, stops, departures, active } = req.body;
+  db.updateService(id, {
+    name: name !== undefined ? name.trim() : undefined,
+    train_id: trainId,
+    stops,
+    departures,
+    active: active !== undefined ? Boolean(active) : undefined
+  });
+  res.json(db.getService(id));
+});
+
+app.delete('/api/timetables/:id', requireRole('operator'), validate('byId'), (req, res) => {
+  const service = db.getService(parseInt(req.params.id));
+  if (!service) return sendError(res, 404, `Service ${req.params.id} not found`);
+
+  db.deleteService(service.id);
+  db.addEvent('TIMETABLE', `🕒 Service withdrawn: ${service.name}`);
+  res.json({ success: true });
+});
+
+// ============== NETWORK EDITING ==============
+
+app.get('/api/stations', (req, res) => {
+  res.json({ stations: db.getStations() });
+});
+
+app.get('/api/stations/:id', validate('byId'), (req, res) => {
+  const station = db.getStation(parseInt(req.params.id));
+  if (!station) return sendError(res, 404, `Station ${req.params.id} not found`);
+  const tracks = db.getTracks().filter(t => t.station_a_id === station.id || t.station_b_id === station.id);
+  const trains = network.trainsReferencingStation(station.id).map(t => ({ id: t.id, name: t.name, status: t.status }));
+  res.json({ ...station, tracks, trains });
+});
+
+app.post('/api/stations', requireRole('operator'), validate('createStation'), (req, res) => {
+  const error = network.validateStation(req.body);
+  if (error) return sendError(res, 400, error);
+  res.status(201).json(network.createStation(req.body));
+});
+
+app.put('/api/stations/:id', requireRole('operator'), validate('updateStation'), (req, res) => {
+  const station = db.getStation(parseInt(req.params.id));
+  if (!station) return sendError(res, 404, `Station ${req.params.id} not found`);
+
+  const error = network.validateStation(req.body, { partial: true, id: station.id });
+  if (error) return sendError(res, 400, error);
+  res.json(network.updateStation(station, req.body));
+});
+
+// ?relocateTo=<stationId> parks trains that use the station there instead of refusing
+app.delete('/api/stations/:id', requireRole('operator'), validate('deleteStation'), (req, res) => {
+  const station = db.getStation(parseInt(req.params.id));
+  if (!station) return sendError(res, 404, `Station ${req.params.id} not found`);
+
+  const relocateTo = req.query.relocateTo !== undefined ? parseInt(req.query.relocateTo) : null;
+  const result = network.deleteStation(station, { relocateTo });
+  if (result.error) return sendFailure(res, result);
+  res.json(result);
+});
+
+app.get('/api/tracks', (req, res) => {
+  res.json({ tracks: db.getTracks() });
+});
+
+app.post('/api/tracks', requireRole('operator'), validate('createTrack'), (req, res) => {
+  const error = network.validateTrack(req.body);
+  if (error) return sendError(res, 400, error);
+  res.status(201).json(network.createTrack(req.body));
+});
+
+app.put('/api/tracks/:id', requireRole('operator'), validate('updateTrack'), (req, res) => {
+  const track = db.getTrack(parseInt(req.params.id));
+  if (!track) return sendError(res, 404, `Track ${req.params.id} not found`);
+  if (typeof req.body.doubleTrack !== 'boolean') return sendError(res, 400, 'doubleTrack must be true or false');
+  res.json(network.updateTrack(track, req.body));
+});
+
+app.delete('/api/tracks/:id', requireRole('operator'), validate('byId'), (req, res) => {
+  const track = db.getTrack(parseInt(req.params.id));
+  if (!track) return sendError(res, 404, `Track ${req.params.id} not found`);
+
+  const result = network.deleteTrack(track);
+  if (result.error) return sendFailure(res, result);
+  res.json(result);
+});
+
+// ============== FLEET ==============
+
+app.get('/api/trains', (req, res) => {
+  res.json({ trains: fleet.describeFleet() });
+});
+
+app.get('/api/trains/classes', (req, res) => {
+  res.json({ classes: db.getStockClasses() });
+});
+
+app.get('/api/trains/:id', validate('byId'), (req, res) => {
+  const train = db.getTrain(parseInt(req.params.id));
+  if (!train) return sendError(res, 404, `Train ${req.params.id} not found`);
+  res.json(fleet.describeTrain(train));
+});
+
+// Body { stockClass?, stationId?, name? }: whatever is left out, the fleet manager decides from demand
+app.post('/api/trains', requireRole('operator'), validate('buyTrain'), (req, res) => {
+  const error = fleet.validatePurchase(req.body);
+  if (error) return sendError(res, 400, error);
+
+  const result = fleet.buyTrain(req.body);
+  if (result.error) return sendFailure(res, result);
+  res.status(201).json(result.train);
+});
+
+// Body { name?, stationId? }: rename, and/or reassign an idle train to another depot
+app.put('/api/trains/:id', requireRole('operator'), validate('updateFleetTrain'), (req, res) => {
+  const train = db.getTrain(parseInt(req.params.id));
+  if (!train) return sendError(res, 404, `Train ${req.params.id} not found`);
+
+  const error = fleet.validateTrainUpdate(train, req.body);
+  if (error) return sendError(res, 400, error);
+
+  const result = fleet.updateTrain(train, req.body);
+  if (result.error) return sendFailure(res, result);
+  res.json(result.train);
+});
+
+app.delete('/api/trains/:id', requireRole('operator'), validate('byId'), (req, res) => {
+  const train = db.getTrain(parseInt(req.params.id));
+  if (!train) return sendError(res, 404, `Train ${req.params.id} not found`);
+
+  const result = fleet.retireTrain(train);
+  if (result.error) return sendFailure(res, result);
+  res.json(result);
+});
+
+// ============== AI AUDIT TRAIL ==============
+
+app.get('/api/ai/runs', validate('listPage'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+  const offset = parseInt(req.query.offset) || 0;
+  res.json({ runs: db.getAiRuns(limit, offset), limit, offset });
+});
+
+// Full run: plan, every prompt/response in call order, validator verdicts and the outcome
+app.get('/api/ai/runs/:id', validate('byId'), (req, res) => {
+  const run = db.getAiRun(parseInt(req.params.id));
+  if (!run) return sendError(res, 404, `AI run ${req.params.id} not found`);
+  const station = run.station_id ? db.getStation(run.station_id) : null;
+  res.json({ ...run, station_name: station?.name || null, decisions: db.getAiDecisions(run.id) });
+});
+
+// ============== AI PLAN ==============
+
+app.get('/api/ai/plan', (req, res) => {
+  res.json(agents.getAgentStatus());
+});
+
+// { action: 'replan' } briefs the commander now; { action: 'expire' } defers it to the next cycle
+app.post('/api/ai/plan', requireRole('admin'), validate('aiPlan'), async (req, res, next) => {
   try {
-    const result = await agents.expandNetwork();
-    if (result.error) {
-       return res.status(429).json({ success: false, error: result.error });
+    if (req.body.action === 'expire') {
+      agents.expirePlan();
+      return res.json({ success: true, ...agents.getAgentStatus() });
     }
+    const result = await agents.replan({ trigger: `manual by ${req.principal.name}` });
+    if (result.status) return sendFailure(res, result);
+    if (!result.success) return sendError(res, 502, 'Commander re-plan failed; the safety-first fallback plan was kept', { details: result });
     res.json(result);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'AI expansion failed' });
+  } catch (error) {
+    next(error);
   }
 });
 
+// ============== EXPANSION SCHEDULE ==============
+
+// Scheduled expansion history (newest first), including skipped firings
+app.get('/api/schedule/runs', validate('listPage'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const offset = parseInt(req.query.offset) || 0;
+  res.json({ runs: db.getScheduleRuns(limit, offset), limit, offset, schedule: expansionScheduler.getScheduleStatus() });
+});
+
+// ============== EXPORT / IMPORT / SNAPSHOTS ==============
+
+// Imported settings may switch AUTO on or off
+function syncExpansionScheduler() {
+  if (db.getSetting('auto_enabled', 'false') === 'true') expansionScheduler.startExpansionScheduler();
+  else expansionScheduler.stopExpansionScheduler();
+}
+
+app.get('/api/export', validate('exportNetwork'), (req, res) => {
+  const doc = snapshots.buildExport({ includeEvents: req.query.events === 'true' });
+  res.set('Content-Disposition', `attachment; filename="airail-${doc.exportedAt.slice(0, 10)}.json"`);
+  res.json(doc);
+});
+
+app.post('/api/import', requireRole('admin'), validate('importNetwork'), (req, res) => {
+  const result = snapshots.importDocument(req.body, 'import');
+  if (!result.success) return sendError(res, 400, 'Invalid network document', { details: result.errors });
+  syncExpansionScheduler();
+  res.json({ success: true, stations: req.body.stations.length, tracks: req.body.tracks.length, trains: req.body.trains.length });
+});
+
+app.get('/api/snapshots', (req, res) => {
+  res.json({ snapshots: db.getSnapshots() });
+});
+
+app.post('/api/snapshots', requireRole('operator'), validate('createSnapshot'), (req, res) => {
+  const name = req.body.name.trim();
+  if (!name) return sendError(res, 400, 'name must not be empty');
+  if (/^\d+$/.test(name)) return sendError(res, 400, 'name must not be all digits: /api/snapshots/<digits> addresses a snapshot by id');
+  if (db.getSnapshot(name)) return sendError(res, 409, `Snapshot "${name}" already exists`);
+  res.status(201).json(snapshots.createSnapshot(name));
+});
+
+// Download a snapshot as an import-ready document
+app.get('/api/snapshots/:id', validate('snapshot'), (req, res) => {
+  const snapshot = db.getSnapshot(req.params.id);
+  if (!snapshot) return sendError(res, 404, `Snapshot ${req.params.id} not found`);
+  res.json(db.getSnapshotDocument(snapshot.id));
+});
+
+app.post('/api/snapshots/:id/restore', requireRole('admin'), validate('snapshot'), (req, res) => {
+  const snapshot = db.getSnapshot(req.params.id);
+  if (!snapshot) return sendError(res, 404, `Snapshot ${req.params.id} not found`);
+  const result = snapshots.restoreSnapshot(snapshot);
+  if (!result.success) return sendError(res, 422, 'Snapshot no longer valid', { details: result.errors });
+  syncExpansionScheduler();
+  res.json({ success: true, restored: snapshot });
+});
+
+app.delete('/api/snapshots/:id', requireRole('admin'), validate('snapshot'), (req, res) => {
+  const snapshot = db.getSnapshot(req.params.id);
+  if (!snapshot) return sendError(res, 404, `Snapshot ${req.params.id} not found`);
+  db.deleteSnapshot(snapshot.id);
+  res.json({ success: true });
+});
+
+// ============== AI EXPANSION ==============
+
+// Manual builds, on top of the expansion lock and cooldown: a few per client and a few more overall
+const EXPAND_WINDOW_MS = (parseInt(process.env.EXPAND_RATE_WINDOW_MINUTES) || 15) * 60000;
+const expandLimits = [
+  createRateLimit({ name: 'per client', max: parseInt(process.env.EXPAND_RATE_LIMIT_PER_CLIENT ?? '3'), windowMs: EXPAND_WINDOW_MS, keyFor: clientKey }),
+  createRateLimit({ name: 'global', max: parseInt(process.env.EXPAND_RATE_LIMIT_GLOBAL ?? '6'), windowMs: EXPAND_WINDOW_MS })
+];
+
+// Is a build (or forced re-plan) running, what is queued, and when could the caller start the next one?
+app.get('/api/expand/status', validate('noBody'), (req, res) => {
+  const { running, nextRunAt } = expansionScheduler.getScheduleStatus();
+  res.json({
+    ...agents.getExpansionStatus(),
+    queue: jobs.getQueue(),
+    rateLimits: expandLimits.map(limit => limit.status(req)),
+    schedule: { running, nextRunAt }
+  });
+});
+
+// Queues a build and answers at once; poll the job for its phase
+app.post('/api/expand', requireRole('admin'), validate('noBody'), rateLimited(...expandLimits), (req, res) => {
+  const result = jobs.submitExpansion({ trigger: `manual by ${req.principal.name}` });
+  if (result.error) return sendFailure(res, result);
+  res.status(202).location(`/api/expand/jobs/${result.job.id}`).json(result.job);
+});
+
+// Expansion jobs (newest first), including finished ones
+app.get('/api/expand/jobs', validate('listPage'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const offset = parseInt(req.query.offset) || 0;
+  res.json({ jobs: db.getExpansionJobs(limit, offset).map(jobs.describeJob), limit, offset });
+});
+
+app.get('/api/expand/jobs/:id', validate('byId'), (req, res) => {
+  const job = db.getExpansionJob(Number(req.params.id));
+  if (!job) return sendError(res, 404, `Job ${req.params.id} not found`);
+  res.json(jobs.describeJob(job));
+});
+
+app.post('/api/expand/jobs/:id/cancel', requireRole('admin'), validate('byId'), (req, res) => {
+  const result = jobs.cancelJob(Number(req.params.id), req.principal.name);
+  if (result.error) return sendFailure(res, result);
+  res.json(result.job);
+});
+
 // Reset Simulation
-app.post('/api/reset', (req, res) => {
+app.post('/api/reset', requireRole('admin'), validate('noBody'), (req, res) => {
+  jobs.cancelAll(req.principal.name);
   db.resetDatabase();
   db.setSetting('auto_enabled', 'false');
-  stopServerSideExpansion();
+  expansionScheduler.stopExpansionScheduler();
   res.json({ success: true, message: 'Simulation reset completely.' });
 });
 
-// ============== SERVER-SIDE HEARTBEAT ==============
-let expansionTimer = null;
+// Anything unmatched under /api, and errors thrown by handlers, answer in the error model
+app.use('/api', notFound);
+app.use(errorHandler);
 
-function startServerSideExpansion() {
-  if (expansionTimer) return;
-  console.log('🤖 SERVER: Auto-Expansion Heartbeat STARTED.');
-  
-  // Every 2 hours UTC check (Approx 7,200,000 ms)
-  // For the hackathon, we'll keep it frequent if they want to see progress, 
-  // but the user asked for 2-hour cycles. Let's stick to a 2-hour interval
-  // but check every minute if the "Hour is even" to align with UTC.
-  expansionTimer = setInterval(async () => {
-    const now = new Date();
-    const isEvenHour = now.getUTCHours() % 2 === 0;
-    const isBeginningOfHour = now.getUTCMinutes() < 10; // 10 minute window
-    
-    // We only trigger once per even hour.
-    // To do this reliably, we'll check if we already built this hour.
-    if (isEvenHour && isBeginningOfHour) {
-      const lastBuildHour = db.getSetting('last_build_hour', '-1');
-      if (lastBuildHour !== String(now.getUTCHours())) {
-        console.log('🤖 SERVER: UTC Schedule Hit. Triggering Expansion...');
-        db.setSetting('last_build_hour', String(now.getUTCHours()));
-        try {
-          await agents.expandNetwork();
-        } catch (e) {
-          console.error('Server Expansion Error:', e);
-        }
-      }
-    }
-  }, 60000); // Check every minute
-}
-
-function stopServerSideExpansion() {
-  if (expansionTimer) {
-    clearInterval(expansionTimer);
-    expansionTimer = null;
-    console.log('🤖 SERVER: Auto-Expansion Heartbeat STOPPED.');
-  }
+// Render sends SIGTERM on redeploys: write pending changes before exiting
+function shutdown(signal) {
+  console.log(`🛑 SERVER: ${signal} received. Flushing database...`);
+  expansionScheduler.stopExpansionScheduler();
+  db.flushDatabaseSync();
+  process.exit(0);
 }
 
 // Start server after DB init
 async function start() {
   await db.initDatabase();
+  auth.initAuth();
+  simulation.startSimulation();
+  stream.startStream();
+  timetable.startScheduler();
+  passengers.startDemand();
+  finance.startFinance();
+  jobs.startJobWorker();
+  analytics.startAnalytics();
   
   // Restore Auto-state on boot
   const autoAtBoot = db.getSetting('auto_enabled', 'false') === 'true';
   if (autoAtBoot) {
-    startServerSideExpansion();
+    expansionScheduler.startExpansionScheduler();
   }
 
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+
   app.listen(PORT, () => {
     console.log(`🚂 AI Railway Simulation running on http://localhost:${PORT}`);
     // Start the keep-alive service
@@ -0,0 +1,235 @@
+/**
+ * AI Railway Simulation - Expansion Jobs Module
+ * AI builds run as background jobs so no HTTP request waits on the LLM round-trips.
+ * submitExpansion() queues a job and returns it at once. A single worker runs the queue in order,
+ * waiting out the agents' cooldown between builds. Jobs report their phase (planning, proposing,
+ * verifying, executing) and attempt in the expansion_jobs table. Every phase has a time limit,
+ * and queued or running jobs can be cancelled.
+ */
+const db = require('./db');
+const logger = require('./logger');
+const agents = require('./agents');
+
+const MAX_OPEN_JOBS = 3; // Queued plus running
+const LOCK_RETRY_MS = 1000; // A forced re-plan holding the expansion lock is short
+
+// Time limit per phase. An LLM call still running when its phase times out is abandoned, not awaited.
+const PHASE_TIMEOUT_MS = {
+  planning: 60000,
+  proposing: 90000,
+  verifying: 60000,
+  executing: 30000
+};
+const phaseTimeoutOverrideMs = (parseInt(process.env.EXPANSION_PHASE_TIMEOUT_SECONDS) || 0) * 1000;
+
+const tasks = new Map(); // running job id -> task (see createTask)
+const waiters = new Map(); // job id -> resolvers of waitForJob() callers
+let workerTimer = null;
+let working = false;
+
+function jobError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function phaseTimeout(phase) {
+  return phaseTimeoutOverrideMs || PHASE_TIMEOUT_MS[phase] || PHASE_TIMEOUT_MS.executing;
+}
+
+/**
+ * The handle agents.expandNetwork reports progress through:
+ *   phase(name, attempt) starts a phase (throws JOB_CANCELLED once cancelled);
+ *   wait(promise) awaits work inside it, rejecting with PHASE_TIMEOUT or JOB_CANCELLED;
+ *   linkRun(runId) ties the job to its ai_runs row.
+ */
+function createTask(jobId) {
+  let phase = null;
+  let deadline = 0;
+  let cancelled = false;
+  let interrupt = null; // Rejects the wait() in progress
+
+  return {
+    get cancelled() { return cancelled; },
+
+    cancel() {
+      cancelled = true;
+      if (interrupt) interrupt(jobError('JOB_CANCELLED', `Cancelled during ${phase}`));
+    },
+
+    linkRun(runId) {
+      db.updateExpansionJob(jobId, { ai_run_id: runId });
+    },
+
+    phase(name, attempt = null) {
+      if (cancelled) throw jobError('JOB_CANCELLED', `Cancelled before ${name}`);
+      phase = name;
+      deadline = Date.now() + phaseTimeout(name);
+      db.updateExpansionJob(jobId, { phase: name, attempt, phase_started_at: new Date().toISOString() });
+      logger.info(`🧵 JOBS: Job ${jobId} ${name}${attempt ? ` (attempt ${attempt})` : ''}.`);
+    },
+
+    wait(promise) {
+      if (cancelled) return Promise.reject(jobError('JOB_CANCELLED', `Cancelled during ${phase}`));
+      let timer = null;
+      const guard = new Promise((resolve, reject) => {
+        interrupt = reject;
+        const limit = phaseTimeout(phase);
+        timer = setTimeout(() => reject(jobError('PHASE_TIMEOUT', `${phase} phase timed out after ${limit / 1000}s`)),
+          Math.max(0, deadline - Date.now()));
+      });
+      return Promise.race([promise, guard]).finally(() => {
+        clearTimeout(timer);
+        interrupt = null;
+      });
+    }
+  };
+}
+
+/**
+ * A job row with its place in the queue and whether a cancel is pending, served by /api/expand/jobs.
+ */
+function describeJob(job) {
+  if (!job) return null;
+  const queued = db.getOpenExpansionJobs().filter(j => j.status === 'queued');
+  const position = queued.findIndex(j => j.id === job.id);
+  return {
+    ...job,
+    position: position >= 0 ? position + 1 : null,
+    maxAttempts: agents.MAX_BUILD_ATTEMPTS,
+    cancelRequested: Boolean(tasks.get(job.id)?.cancelled)
+  };
+}
+
+function getQueue() {
+  return db.getOpenExpansionJobs().map(describeJob);
+}
+
+function settle(id) {
+  const job = db.getExpansionJob(id);
+  (waiters.get(id) || []).forEach(resolve => resolve(job));
+  waiters.delete(id);
+}
+
+/**
+ * Resolves with the job row once the job has finished (at once if it already has).
+ */
+function waitForJob(id) {
+  const job = db.getExpansionJob(id);
+  if (!job || (job.status !== 'queued' && job.status !== 'running')) return Promise.resolve(job);
+  return new Promise(resolve => waiters.set(id, [...(waiters.get(id) || []), resolve]));
+}
+
+/**
+ * Queues an AI build. Returns { job } or { error, status, jobs } when the queue is full.
+ */
+function submitExpansion({ trigger }) {
+  const open = db.getOpenExpansionJobs();
+  if (open.length >= MAX_OPEN_JOBS) {
+    return {
+      error: `The expansion queue is full (${open.length} jobs). Wait for one to finish or cancel one.`,
+      status: 409,
+      jobs: open.map(j => ({ id: j.id, status: j.status, trigger: j.trigger }))
+    };
+  }
+  const id = db.addExpansionJob(trigger);
+  logger.info(`🧵 JOBS: Expansion job ${id} queued (${trigger}).`);
+  wake(0);
+  return { job: describeJob(db.getExpansionJob(id)) };
+}
+
+/**
+ * Cancels a queued job at once, or asks a running one to stop at its next await.
+ * Returns { job } or { error, status }.
+ */
+function cancelJob(id, by) {
+  const job = db.getExpansionJob(id);
+  if (!job) return { error: `Job ${id} not found`, status: 404 };
+
+  if (job.status === 'queued') {
+    db.updateExpansionJob(id, { status: 'cancelled', error: `Cancelled by ${by} before it started`, finished_at: new Date().toISOString() });
+    db.addEvent('SYSTEM', `🛑 Expansion job #${id} cancelled by ${by} before it started`);
+    settle(id);
+  } else if (job.status === 'running') {
+    const task = tasks.get(id);
+    if (!task) return { error: `Job ${id} is not running in this process`, status: 409 };
+    logger.info(`🧵 JOBS: Job ${id} cancellation requested by ${by}.`);
+    task.cancel();
+  } else {
+    return { error: `Job ${id} has already ${job.status === 'succeeded' ? 'succeeded' : `been ${job.status}`}`, status: 409 };
+  }
+  return { job: describeJob(db.getExpansionJob(id)) };
+}
+
+// Stops the running job and drops the queue (before a reset wipes the tables)
+function cancelAll(by) {
+  for (const task of tasks.values()) task.cancel();
+  db.getOpenExpansionJobs().filter(j => j.status === 'queued').forEach(j => cancelJob(j.id, by));
+}
+
+function finish(id, result) {
+  const status = result.success ? 'succeeded' : result.cancelled ? 'cancelled' : 'failed';
+  db.updateExpansionJob(id, {
+    status,
+    ai_run_id: result.runId || null,
+    station_id: result.stationId || null,
+    error: result.success ? null : result.error,
+    finished_at: new Date().toISOString()
+  });
+  logger.info(`🧵 JOBS: Job ${id} ${status}.`);
+  settle(id);
+}
+
+function wake(delayMs) {
+  if (working || workerTimer) return;
+  workerTimer = setTimeout(() => {
+    workerTimer = null;
+    runNext();
+  }, delayMs);
+}
+
+async function runNext() {
+  const job = db.getOpenExpansionJobs().find(j => j.status === 'queued');
+  if (!job) return;
+
+  // Builds wait out the cooldown (and any forced re-plan) instead of failing on it
+  const { inProgress, cooldownRemainingMs } = agents.getExpansionStatus();
+  if (inProgress || cooldownRemainingMs > 0) return wake(Math.max(cooldownRemainingMs, LOCK_RETRY_MS));
+
+  working = true;
+  const task = createTask(job.id);
+  tasks.set(job.id, task);
+  db.updateExpansionJob(job.id, { status: 'running', started_at: new Date().toISOString() });
+  try {
+    finish(job.id, await agents.expandNetwork({ trigger: `job #${job.id}, ${job.trigger}`, task }));
+  } catch (error) {
+    logger.error(`JOBS Job ${job.id} Failed:`, error.message);
+    finish(job.id, { success: false, error: error.message });
+  } finally {
+    tasks.delete(job.id);
+    working = false;
+    wake(0);
+  }
+}
+
+/**
+ * Starts the worker at boot. Jobs that were running when the server stopped are marked failed;
+ * queued jobs are kept and run.
+ */
+function startJobWorker() {
+  for (const job of db.getOpenExpansionJobs().filter(j => j.status === 'running')) {
+    db.updateExpansionJob(job.id, { status: 'failed', error: 'Interrupted by a server restart', finished_at: new Date().toISOString() });
+  }
+  wake(0);
+}
+
+module.exports = {
+  PHASE_TIMEOUT_MS,
+  describeJob,
+  getQueue,
+  waitForJob,
+  submitExpansion,
+  cancelJob,
+  cancelAll,
+  startJobWorker
+};
@@ -0,0 +1,108 @@
+/**
+ * AI Railway Simulation - Schema Migrations
+ * Numbered files in server/migrations (NNN_description.js) each run once, in order, at boot.
+ * Applied versions are recorded in schema_version. Forward-only: to undo, restore a backup
+ * from data/backups, which is taken before any pending migration touches an existing file.
+ *
+ * A migration exports { description, up(db, { addColumn }) } and runs inside a transaction.
+ * `db` is the storage driver (server/storage): use db.exec for DDL and db.run for parameterised statements.
+ * Databases created before this runner already hold some tables, so keep migrations idempotent
+ * (CREATE TABLE IF NOT EXISTS, addColumn).
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d{3})_[\w-]+\.js$/;
+const BACKUPS_KEPT = 5;
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => ({
+      version: parseInt(FILE_PATTERN.exec(file)[1]),
+      name: file.replace(/\.js$/, ''),
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (m.version !== i + 1) throw new Error(`Migration numbering must be contiguous from 001 (found ${m.name} at position ${i + 1})`);
+    if (typeof m.up !== 'function') throw new Error(`Migration ${m.name} has no up() function`);
+  });
+  return migrations;
+}
+
+function getSchemaVersion(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  return db.get('SELECT COALESCE(MAX(version), 0) AS version FROM schema_version').version;
+}
+
+function columnAdder(db) {
+  return (table, column, definition) => {
+    const columns = db.all(`PRAGMA table_info(${table})`).map(row => row.name);
+    if (!columns.includes(column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  };
+}
+
+// Copies the database before migrating and keeps the newest BACKUPS_KEPT copies
+function backupDatabase(db, backupDir, fromVersion) {
+  fs.mkdirSync(backupDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(backupDir, `simulation-v${fromVersion}-${stamp}.db`);
+  db.backup(backupPath);
+
+  fs.readdirSync(backupDir)
+    .filter(file => file.startsWith('simulation-v') && file.endsWith('.db'))
+    .map(file => ({ file, mtime: fs.statSync(path.join(backupDir, file)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime)
+    .slice(BACKUPS_KEPT)
+    .forEach(({ file }) => fs.unlinkSync(path.join(backupDir, file)));
+
+  return backupPath;
+}
+
+/**
+ * Applies pending migrations through an open storage driver.
+ * A brand-new database (driver.existed false) has nothing to back up.
+ * Returns { from, to, applied: [names], backup }. Throws if a migration fails; that migration is rolled back.
+ */
+function runMigrations(db, { backupDir } = {}) {
+  const migrations = loadMigrations();
+  const latest = migrations.length;
+  const from = getSchemaVersion(db);
+
+  if (from > latest) {
+    throw new Error(`Database schema v${from} is newer than this server (v${latest}). Upgrade the server or restore a backup.`);
+  }
+
+  const pending = migrations.filter(m => m.version > from);
+  if (pending.length === 0) return { from, to: from, applied: [], backup: null };
+
+  const backup = db.existed ? backupDatabase(db, backupDir, from) : null;
+  const addColumn = columnAdder(db);
+
+  for (const migration of pending) {
+    db.run('BEGIN');
+    try {
+      migration.up(db, { addColumn });
+      db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw new Error(`Migration ${migration.name} failed: ${error.message}${backup ? ` (backup at ${backup})` : ''}`);
+    }
+  }
+
+  return { from, to: latest, applied: pending.map(m => m.name), backup };
+}
+
+module.exports = { loadMigrations, getSchemaVersion, runMigrations };
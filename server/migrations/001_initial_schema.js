@@ -0,0 +1,51 @@
+/**
+ * Migration 001 - Initial schema
+ */
+module.exports = {
+  description: 'Stations, trains, tracks, events and settings',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS stations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        x REAL NOT NULL,
+        y REAL NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS trains (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        current_station_id INTEGER,
+        target_station_id INTEGER,
+        x REAL NOT NULL,
+        y REAL NOT NULL,
+        speed_kmh REAL DEFAULT 80,
+        departure_time DATETIME,
+        status TEXT DEFAULT 'idle',
+        FOREIGN KEY (current_station_id) REFERENCES stations(id),
+        FOREIGN KEY (target_station_id) REFERENCES stations(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        message TEXT NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS tracks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        station_a_id INTEGER,
+        station_b_id INTEGER,
+        FOREIGN KEY (station_a_id) REFERENCES stations(id),
+        FOREIGN KEY (station_b_id) REFERENCES stations(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `);
+  }
+};
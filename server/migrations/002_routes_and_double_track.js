@@ -0,0 +1,17 @@
+/**
+ * Migration 002 - Multi-leg routes and double track
+ */
+module.exports = {
+  description: 'Train route table and tracks.double_track',
+  up(db, { addColumn }) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS train_routes (
+        train_id INTEGER PRIMARY KEY,
+        stops TEXT NOT NULL,
+        leg_index INTEGER DEFAULT 0,
+        FOREIGN KEY (train_id) REFERENCES trains(id)
+      );
+    `);
+    addColumn('tracks', 'double_track', 'INTEGER DEFAULT 0');
+  }
+};
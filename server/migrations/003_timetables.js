@@ -0,0 +1,55 @@
+/**
+ * Migration 003 - Timetabled services
+ */
+module.exports = {
+  description: 'Services, stops, departures, runs and arrivals',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS services (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        train_id INTEGER,
+        active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (train_id) REFERENCES trains(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS service_stops (
+        service_id INTEGER NOT NULL,
+        seq INTEGER NOT NULL,
+        station_id INTEGER NOT NULL,
+        PRIMARY KEY (service_id, seq),
+        FOREIGN KEY (service_id) REFERENCES services(id),
+        FOREIGN KEY (station_id) REFERENCES stations(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS service_departures (
+        service_id INTEGER NOT NULL,
+        departure_time TEXT NOT NULL,
+        PRIMARY KEY (service_id, departure_time),
+        FOREIGN KEY (service_id) REFERENCES services(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS service_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        service_id INTEGER NOT NULL,
+        train_id INTEGER,
+        planned_departure DATETIME NOT NULL,
+        status TEXT DEFAULT 'running',
+        note TEXT,
+        FOREIGN KEY (service_id) REFERENCES services(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS service_arrivals (
+        run_id INTEGER NOT NULL,
+        seq INTEGER NOT NULL,
+        station_id INTEGER NOT NULL,
+        route_index INTEGER NOT NULL,
+        planned_arrival DATETIME NOT NULL,
+        actual_arrival DATETIME,
+        PRIMARY KEY (run_id, seq),
+        FOREIGN KEY (run_id) REFERENCES service_runs(id)
+      );
+    `);
+  }
+};
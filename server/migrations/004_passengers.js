@@ -0,0 +1,32 @@
+/**
+ * Migration 004 - Passengers and train capacity
+ */
+module.exports = {
+  description: 'Passenger groups, ridership stats and trains.capacity',
+  up(db, { addColumn }) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS passengers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        origin_id INTEGER NOT NULL,
+        destination_id INTEGER NOT NULL,
+        train_id INTEGER,
+        count INTEGER NOT NULL,
+        spawned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (origin_id) REFERENCES stations(id),
+        FOREIGN KEY (destination_id) REFERENCES stations(id),
+        FOREIGN KEY (train_id) REFERENCES trains(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS ridership_stats (
+        scope TEXT NOT NULL,
+        ref_id INTEGER NOT NULL,
+        boarded INTEGER DEFAULT 0,
+        alighted INTEGER DEFAULT 0,
+        load_sum REAL DEFAULT 0,
+        load_samples INTEGER DEFAULT 0,
+        PRIMARY KEY (scope, ref_id)
+      );
+    `);
+    addColumn('trains', 'capacity', 'INTEGER DEFAULT 200');
+  }
+};
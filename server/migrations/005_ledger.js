@@ -0,0 +1,18 @@
+/**
+ * Migration 005 - Treasury ledger
+ */
+module.exports = {
+  description: 'Ledger of money movements',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ledger (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        amount REAL NOT NULL,
+        description TEXT,
+        balance_after REAL NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * Migration 006 - AI audit trail, agent state and expansion schedule
+ */
+module.exports = {
+  description: 'AI runs/decisions, agent state and schedule runs',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME,
+        outcome TEXT DEFAULT 'running',
+        plan TEXT,
+        station_id INTEGER,
+        note TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS ai_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL,
+        attempt INTEGER DEFAULT 0,
+        role TEXT NOT NULL,
+        task TEXT NOT NULL,
+        provider TEXT,
+        model TEXT,
+        prompt TEXT,
+        raw_response TEXT,
+        parsed TEXT,
+        latency_ms INTEGER,
+        outcome TEXT NOT NULL,
+        error TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (run_id) REFERENCES ai_runs(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS agent_state (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        plan TEXT,
+        plan_created_at DATETIME,
+        plan_expires_at DATETIME,
+        last_cycle_at DATETIME,
+        cycles INTEGER DEFAULT 0,
+        successes INTEGER DEFAULT 0,
+        failures INTEGER DEFAULT 0,
+        consecutive_failures INTEGER DEFAULT 0,
+        last_error TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS schedule_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger TEXT NOT NULL,
+        scheduled_for DATETIME NOT NULL,
+        started_at DATETIME NOT NULL,
+        finished_at DATETIME,
+        result TEXT DEFAULT 'running',
+        ai_run_id INTEGER,
+        note TEXT,
+        FOREIGN KEY (ai_run_id) REFERENCES ai_runs(id)
+      );
+    `);
+    // The even-hour heartbeat marker is superseded by schedule_runs
+    db.run("DELETE FROM settings WHERE key = 'last_build_hour'");
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Migration 007 - Named snapshots
+ */
+module.exports = {
+  description: 'Named network snapshots',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        auto INTEGER DEFAULT 0,
+        station_count INTEGER,
+        document TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  }
+};
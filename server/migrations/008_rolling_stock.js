@@ -0,0 +1,26 @@
+/**
+ * Migration 008 - Rolling-stock classes
+ */
+module.exports = {
+  description: 'Rolling-stock classes and trains.stock_class / trains.acceleration',
+  up(db, { addColumn }) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS rolling_stock (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        speed_kmh INTEGER NOT NULL,
+        capacity INTEGER NOT NULL,
+        acceleration REAL NOT NULL,
+        cost INTEGER NOT NULL
+      );
+
+      INSERT OR IGNORE INTO rolling_stock (id, name, speed_kmh, capacity, acceleration, cost) VALUES
+        ('commuter', 'Commuter', 120, 300, 1.0, 3000000),
+        ('intercity', 'Intercity', 200, 450, 0.5, 6000000),
+        ('freight', 'Freight', 100, 0, 0.25, 2500000);
+    `);
+    // Trains bought before classes existed keep NULL: no class, constant speed
+    addColumn('trains', 'stock_class', 'TEXT');
+    addColumn('trains', 'acceleration', 'REAL');
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration 010 - Expansion jobs
+ */
+module.exports = {
+  description: 'Background expansion jobs with phase progress',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS expansion_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        phase TEXT,
+        attempt INTEGER,
+        ai_run_id INTEGER,
+        station_id INTEGER,
+        error TEXT,
+        created_at DATETIME NOT NULL,
+        started_at DATETIME,
+        phase_started_at DATETIME,
+        finished_at DATETIME,
+        FOREIGN KEY (ai_run_id) REFERENCES ai_runs(id)
+      );
+    `);
+  }
+};
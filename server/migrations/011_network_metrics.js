@@ -0,0 +1,26 @@
+/**
+ * Migration 011 - Network metrics history
+ */
+module.exports = {
+  description: 'Network graph metrics history for growth charts',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS network_metrics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        recorded_at DATETIME NOT NULL,
+        trigger TEXT NOT NULL,
+        station_count INTEGER NOT NULL,
+        track_count INTEGER NOT NULL,
+        total_track_km REAL NOT NULL,
+        component_count INTEGER NOT NULL,
+        average_degree REAL NOT NULL,
+        dead_ends INTEGER NOT NULL,
+        diameter_km REAL,
+        max_betweenness REAL,
+        hull_area_km2 REAL,
+        served_area_km2 REAL,
+        served_share REAL
+      );
+    `);
+  }
+};
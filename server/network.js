@@ -0,0 +1,288 @@
+/**
+ * AI Railway Simulation - Network Editing Module
+ * Operator edits to stations and tracks, for fixing AI mistakes without a reset.
+ * Every edit keeps references intact (trains, routes, services, passengers) and is announced
+ * in the comms feed. Edits are corrections, not construction: the treasury is not charged.
+ */
+const db = require('./db');
+const logger = require('./logger');
+const routing = require('./routing');
+const validator = require('./validator');
+const { distanceKm } = require('./geometry');
+
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// The link-length rule of validator.js: an error message, or null when `a`-`b` is in range
+function linkLengthError(a, b, label) {
+  const km = distanceKm(a, b);
+  if (km >= validator.MIN_LINK_KM && km <= validator.MAX_LINK_KM) return null;
+  return `${label} would be ${km.toFixed(1)} km long; a track must be between ${validator.MIN_LINK_KM} and ${validator.MAX_LINK_KM} km`;
+}
+
+/**
+ * Validates a station payload { name, x, y }. Returns an error message, or null when valid.
+ * With `partial`, only the fields present are checked; `id` is the station being edited.
+ */
+function validateStation(input, { partial = false, id = null } = {}) {
+  const { name, x, y } = input || {};
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+    const taken = db.getStations().find(s => s.id !== id && s.name.trim().toLowerCase() === name.trim().toLowerCase());
+    if (taken) return `Station name "${name.trim()}" is already taken by station ${taken.id}`;
+  }
+  if (!partial || x !== undefined) {
+    if (!isFiniteNumber(x)) return 'x must be a number';
+  }
+  if (!partial || y !== undefined) {
+    if (!isFiniteNumber(y)) return 'y must be a number';
+  }
+  if (x === undefined && y === undefined) return null;
+
+  // The geometry rules AI builds follow (validator.js): station spacing, link length and no crossings
+  const current = id === null ? null : db.getStation(id);
+  const site = { x: x ?? current.x, y: y ?? current.y };
+  const others = db.getStations().filter(s => s.id !== id);
+  const tooClose = validator.tooCloseTo(site, others);
+  if (tooClose) {
+    return `Too close to ${tooClose.station.name} (station ${tooClose.station.id}): ${tooClose.km.toFixed(1)} km, minimum spacing is ${validator.MIN_STATION_SPACING_KM} km`;
+  }
+  if (current) {
+    // Moving a station swings its tracks round with it
+    const moved = [...others, { ...current, ...site }];
+    const tracks = db.getTracks();
+    for (const track of tracks.filter(t => t.station_a_id === id || t.station_b_id === id)) {
+      const otherId = track.station_a_id === id ? track.station_b_id : track.station_a_id;
+      const other = moved.find(s => s.id === otherId);
+      const tooLong = linkLengthError(other, site, `Track ${track.id} to ${other.name}`);
+      if (tooLong) return tooLong;
+      const crossed = validator.crossedTracks(other, site, moved, tracks.filter(t => t.id !== track.id))[0];
+      if (crossed) return `Track ${track.id} to ${other.name} would cross the ${crossed.a.name} - ${crossed.b.name} line without a junction`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates a new track { stationAId, stationBId, doubleTrack }. Returns an error message, or null when valid.
+ */
+function validateTrack(input) {
+  const { stationAId, stationBId, doubleTrack } = input || {};
+
+  const a = db.getStation(stationAId);
+  if (!a) return `Station ${stationAId} not found`;
+  const b = db.getStation(stationBId);
+  if (!b) return `Station ${stationBId} not found`;
+  if (a.id === b.id) return 'A track must connect two different stations';
+  const existing = db.findTrack(a.id, b.id);
+  if (existing) return `${a.name} and ${b.name} are already connected by track ${existing.id}`;
+  const outOfRange = linkLengthError(a, b, `A ${a.name} - ${b.name} track`);
+  if (outOfRange) return outOfRange;
+  const crossed = validator.crossedTracks(a, b, db.getStations(), db.getTracks())[0];
+  if (crossed) return `A ${a.name} - ${b.name} track would cross the ${crossed.a.name} - ${crossed.b.name} line without a junction`;
+  if (doubleTrack !== undefined && typeof doubleTrack !== 'boolean') return 'doubleTrack must be true or false';
+  return null;
+}
+
+function stationName(id) {
+  return db.getStation(id)?.name || `#${id}`;
+}
+
+// Legs a train has still to run: [fromId, toId] pairs, starting with the one in progress
+function remainingLegs(train, route) {
+  if (train.status === 'idle' || !train.target_station_id) return [];
+  if (!route) return [[train.current_station_id, train.target_station_id]];
+  const legs = [];
+  for (let i = route.leg_index; i < route.stops.length - 1; i++) legs.push([route.stops[i], route.stops[i + 1]]);
+  return legs;
+}
+
+function trainsWithLegs() {
+  const routesByTrain = new Map(db.getTrainRoutes().map(r => [r.train_id, r]));
+  return db.getTrains().map(train => ({ train, legs: remainingLegs(train, routesByTrain.get(train.id)) }));
+}
+
+/**
+ * Trains standing at, heading for or routed through a station.
+ */
+function trainsReferencingStation(stationId) {
+  return trainsWithLegs()
+    .filter(({ train, legs }) => train.current_station_id === stationId || legs.some(leg => leg.includes(stationId)))
+    .map(({ train }) => train);
+}
+
+/**
+ * Trains whose remaining route runs over a track.
+ */
+function trainsUsingTrack(track) {
+  const { station_a_id: a, station_b_id: b } = track;
+  return trainsWithLegs()
+    .filter(({ legs }) => legs.some(([from, to]) => (from === a && to === b) || (from === b && to === a)))
+    .map(({ train }) => train);
+}
+
+// Services whose stops no longer connect over the track graph
+function disconnectedServices() {
+  return db.getServices().filter(s => !routing.findRouteVia(s.stops[0], s.stops.slice(1)));
+}
+
+function createStation({ name, x, y }) {
+  const id = db.addStation(name.trim(), x, y);
+  db.addEvent('NETWORK', `🛠️ Station added: ${name.trim()} at (${x}, ${y})`);
+  logger.info(`🛠️ NETWORK: Station ${id} added.`);
+  return db.getStation(id);
+}
+
+/**
+ * Renames and/or moves a station. Trains standing there move with it.
+ */
+function updateStation(station, { name, x, y }) {
+  const changes = {};
+  if (name !== undefined && name.trim() !== station.name) changes.name = name.trim();
+  if (x !== undefined && x !== station.x) changes.x = x;
+  if (y !== undefined && y !== station.y) changes.y = y;
+  if (Object.keys(changes).length === 0) return station;
+
+  db.transaction(() => {
+    db.updateStation(station.id, changes);
+    if (changes.x !== undefined || changes.y !== undefined) {
+      const moved = { x: changes.x ?? station.x, y: changes.y ?? station.y };
+      db.getTrains()
+        .filter(t => t.current_station_id === station.id && t.status !== 'moving')
+        .forEach(t => db.updateTrain(t.id, moved));
+      db.addEvent('NETWORK', `🛠️ ${changes.name || station.name} moved to (${moved.x}, ${moved.y})`);
+    }
+    if (changes.name) db.addEvent('NETWORK', `🛠️ Station renamed: ${station.name} → ${changes.name}`);
+  });
+  return db.getStation(station.id);
+}
+
+/**
+ * Deletes a station and its tracks. Trains referencing it are refused unless `relocateTo`
+ * names another station: they are then stopped and parked there, and their passengers wait there.
+ * Services drop the stop and are withdrawn when fewer than two stops remain.
+ * Returns { success, ... } or { error, status, trains }.
+ */
+function deleteStation(station, { relocateTo = null } = {}) {
+  const stations = db.getStations();
+  if (stations.length === 1) return { error: 'The last station cannot be deleted', status: 409 };
+
+  const trains = trainsReferencingStation(station.id);
+  const trainSummary = trains.map(t => ({ id: t.id, name: t.name, status: t.status }));
+  let destination = null;
+  if (relocateTo !== null) {
+    destination = stations.find(s => s.id === relocateTo);
+    if (!destination || destination.id === station.id) {
+      return { error: `relocateTo must be another existing station (got ${relocateTo})`, status: 400 };
+    }
+  } else if (trains.length) {
+    return {
+      error: `${trains.length} train(s) use ${station.name}: ${trains.map(t => t.name).join(', ')}. Pass relocateTo to park them elsewhere.`,
+      status: 409,
+      trains: trainSummary
+    };
+  }
+
+  const services = db.getServices().filter(s => s.stops.includes(station.id));
+  const withdrawn = [];
+  const rerouted = [];
+  const tracks = db.getTracks().filter(t => t.station_a_id === station.id || t.station_b_id === station.id);
+
+  db.transaction(() => {
+    for (const train of trains) {
+      // Riders bound for the parking station get off there; everyone else waits for a connection
+      db.alightPassengers(train.id, destination.id);
+      db.unloadTrain(train.id, destination.id);
+      db.clearTrainRoute(train.id);
+      db.updateTrain(train.id, {
+        status: 'idle',
+        current_station_id: destination.id,
+        target_station_id: null,
+        departure_time: null,
+        x: destination.x,
+        y: destination.y
+      });
+      db.getRunningRuns().filter(r => r.train_id === train.id).forEach(r => {
+        db.updateServiceRun(r.id, 'incomplete', `${station.name} removed; train parked at ${destination.name}`);
+      });
+    }
+
+    for (const service of services) {
+      const stops = service.stops.filter(id => id !== station.id).filter((id, i, list) => i === 0 || id !== list[i - 1]);
+      if (stops.length < 2) {
+        db.deleteService(service.id);
+        withdrawn.push(service.name);
+      } else {
+        db.updateService(service.id, { stops });
+        rerouted.push(service.name);
+      }
+    }
+
+    db.deleteStation(station.id);
+
+    const notes = [`${tracks.length} track(s) removed`];
+    if (trains.length) notes.push(`${trains.map(t => t.name).join(', ')} parked at ${destination.name}`);
+    if (rerouted.length) notes.push(`services no longer calling: ${rerouted.join(', ')}`);
+    if (withdrawn.length) notes.push(`services withdrawn: ${withdrawn.join(', ')}`);
+    db.addEvent('NETWORK', `🛠️ Station removed: ${station.name} (${notes.join('; ')})`);
+  });
+  logger.info(`🛠️ NETWORK: Station ${station.id} deleted.`);
+
+  return {
+    success: true,
+    tracksRemoved: tracks.map(t => t.id),
+    trainsRelocated: trainSummary,
+    servicesUpdated: rerouted,
+    servicesWithdrawn: withdrawn,
+    disconnectedServices: disconnectedServices().map(s => ({ id: s.id, name: s.name }))
+  };
+}
+
+function createTrack({ stationAId, stationBId, doubleTrack = false }) {
+  const id = db.addTrack(stationAId, stationBId, doubleTrack);
+  db.addEvent('NETWORK', `🛠️ Track added: ${stationName(stationAId)} - ${stationName(stationBId)}${doubleTrack ? ' (double track)' : ''}`);
+  logger.info(`🛠️ NETWORK: Track ${id} added.`);
+  return db.getTrack(id);
+}
+
+function updateTrack(track, { doubleTrack }) {
+  if (doubleTrack === track.double_track) return track;
+  db.updateTrack(track.id, { doubleTrack });
+  db.addEvent('NETWORK', `🛠️ ${stationName(track.station_a_id)} - ${stationName(track.station_b_id)} is now ${doubleTrack ? 'double' : 'single'} track`);
+  return db.getTrack(track.id);
+}
+
+/**
+ * Deletes a track unless a train's remaining route runs over it.
+ * Returns { success, disconnectedServices } or { error, status, trains }.
+ */
+function deleteTrack(track) {
+  const trains = trainsUsingTrack(track);
+  if (trains.length) {
+    return {
+      error: `Trains are routed over this track: ${trains.map(t => t.name).join(', ')}. Retry once they have passed.`,
+      status: 409,
+      trains: trains.map(t => ({ id: t.id, name: t.name, status: t.status }))
+    };
+  }
+
+  db.deleteTrack(track.id);
+  const cutOff = disconnectedServices();
+  const note = cutOff.length ? ` - services no longer connected: ${cutOff.map(s => s.name).join(', ')}` : '';
+  db.addEvent('NETWORK', `🛠️ Track removed: ${stationName(track.station_a_id)} - ${stationName(track.station_b_id)}${note}`);
+  logger.info(`🛠️ NETWORK: Track ${track.id} deleted.`);
+  return { success: true, disconnectedServices: cutOff.map(s => ({ id: s.id, name: s.name })) };
+}
+
+module.exports = {
+  validateStation,
+  validateTrack,
+  trainsReferencingStation,
+  trainsUsingTrack,
+  createStation,
+  updateStation,
+  deleteStation,
+  createTrack,
+  updateTrack,
+  deleteTrack
+};
@@ -0,0 +1,203 @@
+/**
+ * AI Railway Simulation - Passenger Demand Module
+ * Gravity-model demand between connected stations, boarding and alighting at every stop,
+ * and ridership / load-factor statistics per train and per station.
+ */
+const db = require('./db');
+const logger = require('./logger');
+const simulation = require('./simulation');
+const routing = require('./routing');
+const finance = require('./finance');
+const { distanceKm } = require('./geometry');
+
+const DEMAND_INTERVAL = 10000; // 20 simulated minutes
+const GRAVITY_CONSTANT = 300; // Passengers per interval for two size-1 stations 1 km apart
+const MIN_DISTANCE_KM = 10; // Keeps neighbouring stations from generating runaway demand
+const MAX_WAITING_PER_STATION = 1000;
+
+let demandTimer = null;
+
+/**
+ * Station size is its number of track connections plus one: hubs draw more travellers.
+ */
+function stationSizes(stations, tracks) {
+  const sizes = new Map(stations.map(s => [s.id, 1]));
+  for (const t of tracks) {
+    if (sizes.has(t.station_a_id)) sizes.set(t.station_a_id, sizes.get(t.station_a_id) + 1);
+    if (sizes.has(t.station_b_id)) sizes.set(t.station_b_id, sizes.get(t.station_b_id) + 1);
+  }
+  return sizes;
+}
+
+// Integer draw with the right expectation: 2.3 becomes 2, or 3 with 30% probability
+function sampleCount(expected) {
+  const whole = Math.floor(expected);
+  return whole + (Math.random() < expected - whole ? 1 : 0);
+}
+
+/**
+ * Spawns one interval of demand. Trips = G * size_i * size_j / distance_km,
+ * only between stations the track graph connects.
+ */
+function generateDemand() {
+  const stations = db.getStations();
+  const tracks = db.getTracks();
+  if (stations.length < 2) return 0;
+
+  const sizes = stationSizes(stations, tracks);
+  const component = routing.connectedComponents(routing.buildGraph(stations, tracks));
+  const waiting = new Map();
+  for (const g of db.getPassengerGroups()) {
+    if (g.train_id === null) waiting.set(g.origin_id, (waiting.get(g.origin_id) || 0) + g.count);
+  }
+
+  let spawned = 0;
+  for (const origin of stations) {
+    for (const destination of stations) {
+      if (origin.id === destination.id) continue;
+      if ((waiting.get(origin.id) || 0) >= MAX_WAITING_PER_STATION) break;
+
+      const km = Math.max(MIN_DISTANCE_KM, distanceKm(origin, destination));
+      const expected = GRAVITY_CONSTANT * sizes.get(origin.id) * sizes.get(destination.id) / km;
+      const count = sampleCount(expected / stations.length); // Share each origin's demand across destinations
+      if (count === 0 || component.get(origin.id) !== component.get(destination.id)) continue;
+
+      db.addWaitingPassengers(origin.id, destination.id, count);
+      waiting.set(origin.id, (waiting.get(origin.id) || 0) + count);
+      spawned += count;
+    }
+  }
+  return spawned;
+}
+
+function onboardCount(trainId) {
+  return db.getPassengerGroups()
+    .filter(g => g.train_id === trainId)
+    .reduce((sum, g) => sum + g.count, 0);
+}
+
+/**
+ * Boards waiting passengers whose destination lies further along the train's route, oldest groups first.
+ */
+function boardAt(train, station, remainingStops) {
+  if (train.capacity === 0) return 0; // Freight stock carries no passengers
+  const ahead = new Set(remainingStops);
+  let free = train.capacity - onboardCount(train.id);
+  let boarded = 0;
+
+  for (const group of db.getPassengerGroups()) {
+    if (free <= 0) break;
+    if (group.train_id !== null || group.origin_id !== station.id || !ahead.has(group.destination_id)) continue;
+    const count = Math.min(free, group.count);
+    db.boardPassengers(group.id, train.id, count);
+    free -= count;
+    boarded += count;
+  }
+
+  const loadFactor = (train.capacity - free) / train.capacity;
+  db.addRidership('station', station.id, { boarded, loadFactor });
+  db.addRidership('train', train.id, { boarded, loadFactor });
+  return boarded;
+}
+
+function handleDeparture(train, station, { route }) {
+  if (!station) return;
+  boardAt(train, station, route.slice(1));
+}
+
+function handleArrival(train, station, { routeIndex, route, isFinal }) {
+  const groups = db.alightPassengers(train.id, station.id);
+  const alighted = groups.reduce((sum, g) => sum + g.count, 0);
+  if (alighted > 0) {
+    db.addRidership('station', station.id, { alighted });
+    db.addRidership('train', train.id, { alighted });
+    finance.collectFares(train, station, groups);
+  }
+
+  if (isFinal) {
+    // End of the line: anyone still aboard transfers here
+    db.unloadTrain(train.id, station.id);
+    return;
+  }
+  boardAt(train, station, route.slice(routeIndex + 1));
+}
+
+function averageLoad(stat) {
+  return stat && stat.load_samples > 0 ? Number((stat.load_sum / stat.load_samples).toFixed(2)) : null;
+}
+
+/**
+ * Ridership report served by /api/passengers.
+ */
+function getReport() {
+  const groups = db.getPassengerGroups();
+  const stationStats = new Map(db.getRidership('station').map(r => [r.ref_id, r]));
+  const trainStats = new Map(db.getRidership('train').map(r => [r.ref_id, r]));
+
+  const stations = db.getStations().map(station => {
+    const stat = stationStats.get(station.id);
+    return {
+      id: station.id,
+      name: station.name,
+      waiting: groups.filter(g => g.train_id === null && g.origin_id === station.id).reduce((sum, g) => sum + g.count, 0),
+      boarded: stat ? stat.boarded : 0,
+      alighted: stat ? stat.alighted : 0,
+      averageLoadFactor: averageLoad(stat)
+    };
+  });
+
+  const trains = db.getTrains().map(train => {
+    const stat = trainStats.get(train.id);
+    const onboard = groups.filter(g => g.train_id === train.id).reduce((sum, g) => sum + g.count, 0);
+    return {
+      id: train.id,
+      name: train.name,
+      capacity: train.capacity,
+      onboard,
+      loadFactor: train.capacity > 0 ? Number((onboard / train.capacity).toFixed(2)) : null,
+      carried: stat ? stat.alighted : 0,
+      averageLoadFactor: averageLoad(stat)
+    };
+  });
+
+  return {
+    totals: {
+      waiting: stations.reduce((sum, s) => sum + s.waiting, 0),
+      onboard: trains.reduce((sum, t) => sum + t.onboard, 0),
+      delivered: trains.reduce((sum, t) => sum + t.carried, 0)
+    },
+    stations,
+    trains
+  };
+}
+
+// Onboard counts for /api/state, so train cards can show their load
+function getOnboardCounts() {
+  const counts = new Map();
+  for (const g of db.getPassengerGroups()) {
+    if (g.train_id !== null) counts.set(g.train_id, (counts.get(g.train_id) || 0) + g.count);
+  }
+  return counts;
+}
+
+function startDemand() {
+  if (demandTimer) return;
+  simulation.onDeparture(handleDeparture);
+  simulation.onArrival(handleArrival);
+  logger.info('🧍 PASSENGERS: Demand generator STARTED.');
+
+  demandTimer = setInterval(() => {
+    try {
+      generateDemand();
+    } catch (e) {
+      logger.error('PASSENGERS Demand Failed:', e.message);
+    }
+  }, DEMAND_INTERVAL);
+}
+
+function stopDemand() {
+  clearInterval(demandTimer);
+  demandTimer = null;
+}
+
+module.exports = { generateDemand, getReport, getOnboardCounts, startDemand, stopDemand };
@@ -0,0 +1,26 @@
+/**
+ * LLM Provider - Google Gemini
+ */
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = process.env.GEMINI_MODEL || 'gemini-3-flash-preview';
+const REQUEST_TIMEOUT_MS = 120000; // The SDK waits indefinitely by default
+
+function createGeminiProvider(model = DEFAULT_MODEL) {
+  let client = null; // Created on first use so a missing key only fails when Gemini is actually picked
+
+  return {
+    name: 'gemini',
+    model,
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+    async complete({ prompt }) {
+      if (!client) {
+        client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY).getGenerativeModel({ model }, { timeout: REQUEST_TIMEOUT_MS });
+      }
+      const result = await client.generateContent(prompt);
+      return result.response.text();
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
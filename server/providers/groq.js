@@ -0,0 +1,28 @@
+/**
+ * LLM Provider - Groq
+ */
+const Groq = require('groq-sdk');
+
+const DEFAULT_MODEL = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
+const REQUEST_TIMEOUT_MS = 120000; // The SDK default is 10 minutes
+
+function createGroqProvider(model = DEFAULT_MODEL) {
+  let client = null; // groq-sdk throws at construction without a key, so build lazily
+
+  return {
+    name: 'groq',
+    model,
+    isConfigured: () => Boolean(process.env.GROQ_API_KEY),
+    async complete({ prompt }) {
+      if (!client) client = new Groq({ apiKey: process.env.GROQ_API_KEY, timeout: REQUEST_TIMEOUT_MS });
+      const completion = await client.chat.completions.create({
+        messages: [{ role: 'user', content: prompt }],
+        model,
+        response_format: { type: 'json_object' }
+      });
+      return completion.choices[0].message.content;
+    }
+  };
+}
+
+module.exports = { createGroqProvider };
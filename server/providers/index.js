@@ -0,0 +1,106 @@
+/**
+ * AI Railway Simulation - LLM Provider Registry
+ * Maps each agent role (commander, engineer, surveyor) to a provider adapter.
+ *
+ * A provider spec is "name" or "name:model", e.g. "groq", "openai:qwen2.5", "procedural".
+ * Resolution per role: settings key llm_<role>, then LLM_PROVIDER env, then the role's
+ * default provider if its key is configured, else the offline procedural provider.
+ */
+const db = require('../db');
+const { createGeminiProvider } = require('./gemini');
+const { createGroqProvider } = require('./groq');
+const { createOpenAIProvider } = require('./openai');
+const { createProceduralProvider } = require('./procedural');
+
+const FACTORIES = {
+  gemini: createGeminiProvider,
+  groq: createGroqProvider,
+  openai: createOpenAIProvider,
+  procedural: createProceduralProvider
+};
+
+const ROLE_DEFAULTS = {
+  commander: 'gemini',
+  engineer: 'groq',
+  surveyor: 'gemini'
+};
+
+const instances = new Map();
+
+function parseSpec(spec) {
+  const [name, ...modelParts] = String(spec).trim().split(':');
+  return { name: name.toLowerCase(), model: modelParts.join(':') || undefined };
+}
+
+function isValidSpec(spec) {
+  return typeof spec === 'string' && Boolean(FACTORIES[parseSpec(spec).name]);
+}
+
+function getProvider(spec) {
+  if (!instances.has(spec)) {
+    const { name, model } = parseSpec(spec);
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`Unknown LLM provider "${name}"`);
+    instances.set(spec, factory(model));
+  }
+  return instances.get(spec);
+}
+
+function resolveSpec(role) {
+  const configured = db.getSetting(`llm_${role}`, '');
+  if (configured) return configured;
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+  const fallback = ROLE_DEFAULTS[role];
+  return getProvider(fallback).isConfigured() ? fallback : 'procedural';
+}
+
+/**
+ * The provider currently serving an agent role.
+ */
+function forRole(role) {
+  if (!ROLE_DEFAULTS[role]) throw new Error(`Unknown agent role "${role}"`);
+  return getProvider(resolveSpec(role));
+}
+
+/**
+ * Current role assignments, as shown by GET /api/settings.
+ */
+function getAssignments() {
+  const assignments = {};
+  for (const role of Object.keys(ROLE_DEFAULTS)) {
+    const provider = forRole(role);
+    assignments[role] = {
+      spec: resolveSpec(role),
+      provider: provider.name,
+      model: provider.model,
+      configured: provider.isConfigured(),
+      pinned: Boolean(db.getSetting(`llm_${role}`, ''))
+    };
+  }
+  return assignments;
+}
+
+/**
+ * Returns an error message for an invalid role/spec pair, or null when it can be assigned.
+ */
+function validateAssignment(role, spec) {
+  if (!ROLE_DEFAULTS[role]) return `Unknown agent role "${role}" (use ${Object.keys(ROLE_DEFAULTS).join(', ')})`;
+  if (spec && !isValidSpec(spec)) return `Unknown LLM provider "${spec}" (use ${Object.keys(FACTORIES).join(', ')})`;
+  return null;
+}
+
+/**
+ * Pins a role to a provider spec; an empty spec returns the role to automatic resolution.
+ */
+function setAssignment(role, spec) {
+  db.setSetting(`llm_${role}`, spec ? String(spec).trim() : '');
+}
+
+module.exports = {
+  ROLES: Object.keys(ROLE_DEFAULTS),
+  PROVIDERS: Object.keys(FACTORIES),
+  forRole,
+  getAssignments,
+  validateAssignment,
+  setAssignment
+};
@@ -0,0 +1,37 @@
+/**
+ * LLM Provider - any OpenAI-compatible chat completions endpoint
+ * (OpenAI, Ollama at http://localhost:11434/v1, LM Studio, vLLM...).
+ */
+const DEFAULT_BASE_URL = process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1';
+const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'llama3.1';
+const REQUEST_TIMEOUT_MS = 120000; // A hung local server must not stall the agents for good
+
+function createOpenAIProvider(model = DEFAULT_MODEL, baseUrl = DEFAULT_BASE_URL) {
+  return {
+    name: 'openai',
+    model,
+    // Local servers usually need no key, so a base URL is enough
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+    async complete({ prompt }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+      const res = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          response_format: { type: 'json_object' }
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      if (!res.ok) throw new Error(`OpenAI-compatible endpoint returned ${res.status}: ${(await res.text()).slice(0, 200)}`);
+
+      const data = await res.json();
+      return data.choices[0].message.content;
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
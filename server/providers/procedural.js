@@ -0,0 +1,87 @@
+/**
+ * LLM Provider - Procedural (offline)
+ * Deterministic stand-in for every agent role: no network, no keys.
+ * Answers with the same JSON shapes the real models are asked for.
+ */
+const validator = require('../validator');
+
+const CITY_NAMES = ['Central', 'Riverton', 'Highmoor', 'Eastbrook', 'Port Alder', 'Granite Falls', 'Westhaven', 'Lakeside'];
+const PLACE_NAMES = ['Ashford', 'Bramley', 'Cold Harbour', 'Dunmore', 'Elmstead', 'Fairview', 'Glenrock', 'Hawthorne',
+  'Ironbridge', 'Juniper', 'Kingsmere', 'Larkhill', 'Millbrook', 'Northgate', 'Oakridge', 'Pinewood',
+  'Queensbury', 'Redcliff', 'Stonebridge', 'Thornbury', 'Upton', 'Valemount', 'Whitby', 'Yarrow'];
+const LINK_LENGTHS_KM = [150, 100, 200, 250, 75];
+const HEADINGS = 12;
+
+function briefing({ stations }) {
+  const areaNumber = Math.floor(stations.length / 50) + 1;
+  const isJump = stations.length >= 50 && stations.length % 50 === 0;
+  return {
+    thoughtSignature: `Procedural planner: ${stations.length} stations in area ${areaNumber}; ${isJump ? 'city is at capacity, jumping to a new hub' : 'densifying the current city'}.`,
+    strategy: isJump ? 'INTER-CITY JUMP to a fresh region' : 'Urban Expansion along the newest corridor',
+    cityName: CITY_NAMES[(areaNumber - 1) % CITY_NAMES.length],
+    areaType: isJump ? 'Global' : 'Urban'
+  };
+}
+
+function uniqueName(stations, seed) {
+  const taken = new Set(stations.map(s => s.name.toLowerCase()));
+  for (let i = 0; i < PLACE_NAMES.length * 10; i++) {
+    const base = PLACE_NAMES[(seed + i) % PLACE_NAMES.length];
+    const round = Math.floor((seed + i) / PLACE_NAMES.length);
+    const name = round === 0 ? base : `${base} ${round + 1}`;
+    if (!taken.has(name.toLowerCase())) return name;
+  }
+  return `Station ${stations.length + 1}`;
+}
+
+/**
+ * Walks hubs (newest first), headings and link lengths in a fixed order and
+ * returns the first site the deterministic validator accepts.
+ */
+function proposal({ stations, tracks }) {
+  const seed = stations.length;
+  const name = uniqueName(stations, seed);
+  const hubs = stations.slice(-5).reverse();
+
+  for (const hub of hubs) {
+    for (let h = 0; h < HEADINGS; h++) {
+      const angle = ((seed * 5 + h) % HEADINGS) / HEADINGS * 2 * Math.PI;
+      for (const km of LINK_LENGTHS_KM) {
+        const candidate = {
+          name,
+          x: Math.round(hub.x + Math.cos(angle) * km * 4),
+          y: Math.round(hub.y + Math.sin(angle) * km * 4),
+          connectToId: hub.id
+        };
+        if (validator.validateProposal(candidate, stations, tracks).valid) {
+          return { ...candidate, thoughtSignature: `Procedural engineer: ${km} km spur from ${hub.name}, heading ${Math.round(angle * 180 / Math.PI)}°.` };
+        }
+      }
+    }
+  }
+
+  // Nothing fits around the recent hubs: return the first candidate and let the validator explain why
+  const hub = hubs[0];
+  return { name, x: hub.x + 600, y: hub.y, connectToId: hub.id, thoughtSignature: 'Procedural engineer: no clear site found near recent hubs.' };
+}
+
+function verification() {
+  return { valid: true, feedback: 'Procedural surveyor: deterministic geometry checks passed.' };
+}
+
+const TASKS = { briefing, proposal, verification };
+
+function createProceduralProvider() {
+  return {
+    name: 'procedural',
+    model: 'procedural',
+    isConfigured: () => true,
+    async complete({ task, context }) {
+      const handler = TASKS[task];
+      if (!handler) throw new Error(`Procedural provider cannot handle task "${task}"`);
+      return JSON.stringify(handler(context));
+    }
+  };
+}
+
+module.exports = { createProceduralProvider };
@@ -0,0 +1,83 @@
+/**
+ * AI Railway Simulation - Rate Limit Module
+ * Sliding-window request limits kept in memory, so they start afresh with the process.
+ * A route lists its limits (e.g. per client and global); a request is only counted when
+ * every limit lets it through, and a refusal answers 429 with a Retry-After header.
+ */
+const logger = require('./logger');
+const { sendError } = require('./validation');
+
+/**
+ * A limit of `max` requests per `windowMs` for each key returned by `keyFor(req)`.
+ * `max` 0 switches the limit off.
+ */
+function createRateLimit({ name, max, windowMs, keyFor = () => 'all' }) {
+  const hits = new Map(); // key -> request times inside the window, oldest first
+
+  function recent(key, now) {
+    const times = (hits.get(key) || []).filter(t => now - t < windowMs);
+    if (times.length) hits.set(key, times);
+    else hits.delete(key);
+    return times;
+  }
+
+  // Seconds until the request could pass, 0 when it can pass now
+  function retryAfter(req, now = Date.now()) {
+    if (max <= 0) return 0;
+    const times = recent(keyFor(req), now);
+    return times.length < max ? 0 : Math.max(1, Math.ceil((times[times.length - max] + windowMs - now) / 1000));
+  }
+
+  function record(req, now = Date.now()) {
+    if (max <= 0) return;
+    const key = keyFor(req);
+    hits.set(key, [...recent(key, now), now]);
+  }
+
+  function status(req, now = Date.now()) {
+    const used = max > 0 ? recent(keyFor(req), now).length : 0;
+    return {
+      name,
+      limit: max || null,
+      windowSeconds: windowMs / 1000,
+      remaining: max > 0 ? Math.max(0, max - used) : null,
+      retryAfterSeconds: retryAfter(req, now)
+    };
+  }
+
+  return { name, max, windowMs, retryAfter, record, status };
+}
+
+/**
+ * Route middleware enforcing every limit in `limits` at once.
+ */
+function rateLimited(...limits) {
+  return (req, res, next) => {
+    const now = Date.now();
+    const blocked = limits
+      .map(limit => ({ limit, seconds: limit.retryAfter(req, now) }))
+      .filter(b => b.seconds > 0)
+      .sort((a, b) => b.seconds - a.seconds)[0];
+
+    if (blocked) {
+      const { limit, seconds } = blocked;
+      logger.warn(`⏱️ RATE LIMIT: ${req.method} ${req.originalUrl} refused (${limit.name}); retry in ${seconds}s.`);
+      res.set('Retry-After', String(seconds));
+      return sendError(res, 429, `Rate limit reached (${limit.name}: ${limit.max} per ${limit.windowMs / 60000} min). Retry in ${seconds}s.`, {
+        details: { limit: limit.name, retryAfterSeconds: seconds }
+      });
+    }
+    limits.forEach(limit => limit.record(req, now));
+    next();
+  };
+}
+
+// The caller's credential, falling back to the address for anonymous callers
+function clientKey(req) {
+  const principal = req.principal;
+  if (principal?.tokenId) return `token:${principal.tokenId}`;
+  if (principal && principal.via !== 'anonymous') return `user:${principal.name}`;
+  return `ip:${req.ip}`;
+}
+
+module.exports = { createRateLimit, rateLimited, clientKey };
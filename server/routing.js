@@ -0,0 +1,105 @@
+/**
+ * AI Railway Simulation - Routing Module
+ * Shortest paths over the track graph (Dijkstra, weighted by segment length in km).
+ */
+const db = require('./db');
+const { distanceKm } = require('./geometry');
+
+/**
+ * Builds an adjacency map: stationId -> [{ to, km }]
+ */
+function buildGraph(stations, tracks) {
+  const byId = new Map(stations.map(s => [s.id, s]));
+  const graph = new Map(stations.map(s => [s.id, []]));
+
+  for (const track of tracks) {
+    const a = byId.get(track.station_a_id);
+    const b = byId.get(track.station_b_id);
+    if (!a || !b) continue;
+    const km = distanceKm(a, b);
+    graph.get(a.id).push({ to: b.id, km });
+    graph.get(b.id).push({ to: a.id, km });
+  }
+  return graph;
+}
+
+/**
+ * Finds the shortest route between two stations.
+ * Returns { stops: [stationId...], distanceKm } or null when the target is unreachable.
+ */
+function findRoute(fromId, toId, graph = buildGraph(db.getStations(), db.getTracks())) {
+  if (!graph.has(fromId) || !graph.has(toId)) return null;
+  if (fromId === toId) return { stops: [fromId], distanceKm: 0 };
+
+  const dist = new Map([[fromId, 0]]);
+  const prev = new Map();
+  const visited = new Set();
+
+  // Networks stay in the hundreds of stations, so a linear scan beats a heap here
+  while (true) {
+    let current = null;
+    for (const [id, d] of dist) {
+      if (!visited.has(id) && (current === null || d < dist.get(current))) current = id;
+    }
+    if (current === null) return null;
+    if (current === toId) break;
+    visited.add(current);
+
+    for (const edge of graph.get(current)) {
+      const candidate = dist.get(current) + edge.km;
+      if (!dist.has(edge.to) || candidate < dist.get(edge.to)) {
+        dist.set(edge.to, candidate);
+        prev.set(edge.to, current);
+      }
+    }
+  }
+
+  const stops = [toId];
+  while (stops[0] !== fromId) stops.unshift(prev.get(stops[0]));
+  return { stops, distanceKm: dist.get(toId) };
+}
+
+/**
+ * Chains shortest paths through a list of waypoints, starting at fromId.
+ * Returns { stops, distanceKm, waypointIndexes } where waypointIndexes[i] is the
+ * position of waypoint i within stops, or null when any hop is unreachable.
+ */
+function findRouteVia(fromId, waypointIds, graph = buildGraph(db.getStations(), db.getTracks())) {
+  const stops = [fromId];
+  const waypointIndexes = [];
+  let total = 0;
+
+  for (const waypointId of waypointIds) {
+    const hop = findRoute(stops[stops.length - 1], waypointId, graph);
+    if (!hop) return null;
+    stops.push(...hop.stops.slice(1));
+    total += hop.distanceKm;
+    waypointIndexes.push(stops.length - 1);
+  }
+  return { stops, distanceKm: total, waypointIndexes };
+}
+
+/**
+ * Labels every station with the index of its connected component.
+ * Returns Map stationId -> componentIndex.
+ */
+function connectedComponents(graph) {
+  const labels = new Map();
+  let next = 0;
+  for (const start of graph.keys()) {
+    if (labels.has(start)) continue;
+    const stack = [start];
+    labels.set(start, next);
+    while (stack.length > 0) {
+      for (const edge of graph.get(stack.pop())) {
+        if (labels.has(edge.to)) continue;
+        labels.set(edge.to, next);
+        stack.push(edge.to);
+      }
+    }
+    next++;
+  }
+  return labels;
+}
+
+module.exports = { buildGraph, findRoute, findRouteVia, connectedComponents };
@@ -0,0 +1,142 @@
+/**
+ * AI Railway Simulation - Agent Response Schemas
+ * Shape checks for the JSON each agent task must return (briefing, proposal, verification).
+ * Numbers and booleans sent as strings are coerced; anything else is a typed error.
+ */
+
+// Error codes written to the events log
+const ERROR_CODES = {
+  PROVIDER_ERROR: 'LLM_PROVIDER_ERROR', // Network/auth failure, nothing came back
+  EMPTY_RESPONSE: 'LLM_EMPTY_RESPONSE',
+  INVALID_JSON: 'LLM_INVALID_JSON',
+  SCHEMA_VIOLATION: 'LLM_SCHEMA_VIOLATION'
+};
+
+class AgentResponseError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'AgentResponseError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Field types: string, number, integer, boolean, enum
+const SCHEMAS = {
+  briefing: {
+    thoughtSignature: { type: 'string', required: true },
+    strategy: { type: 'string', required: true },
+    cityName: { type: 'string', required: true },
+    areaType: { type: 'enum', values: ['Urban', 'Global'], default: 'Urban' }
+  },
+  proposal: {
+    name: { type: 'string', required: true },
+    x: { type: 'number', required: true },
+    y: { type: 'number', required: true },
+    connectToId: { type: 'integer', required: true },
+    thoughtSignature: { type: 'string', default: '' }
+  },
+  verification: {
+    valid: { type: 'boolean', required: true },
+    feedback: { type: 'string', default: '' }
+  }
+};
+
+function coerce(field, value) {
+  switch (field.type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+    case 'number':
+    case 'integer': {
+      const n = typeof value === 'number' ? value
+        : typeof value === 'string' && value.trim() !== '' ? Number(value.trim().replace(/^#/, '')) : NaN;
+      if (!Number.isFinite(n)) return undefined;
+      return field.type === 'integer' && !Number.isInteger(n) ? undefined : n;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return undefined;
+    case 'enum':
+      return field.values.find(v => typeof value === 'string' && v.toLowerCase() === value.trim().toLowerCase());
+    default:
+      return undefined;
+  }
+}
+
+function describe(field) {
+  return field.type === 'enum' ? `one of ${field.values.join('|')}` : `a${field.type === 'integer' ? 'n' : ''} ${field.type}`;
+}
+
+/**
+ * Pulls the first JSON object out of a reply, tolerating code fences and prose around it.
+ */
+function extractJSON(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new AgentResponseError(ERROR_CODES.EMPTY_RESPONSE, 'Empty response');
+  }
+  const cleaned = text.replace(/```json|```/g, '').trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new AgentResponseError(ERROR_CODES.INVALID_JSON, `No JSON object in response: "${cleaned.slice(0, 80)}"`);
+  }
+  try {
+    return JSON.parse(cleaned.slice(start, end + 1));
+  } catch (error) {
+    throw new AgentResponseError(ERROR_CODES.INVALID_JSON, `Malformed JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Parses and checks a raw reply for `task`. Returns the coerced object (unknown fields dropped)
+ * or throws AgentResponseError.
+ */
+function parseResponse(task, text) {
+  const schema = SCHEMAS[task];
+  if (!schema) throw new Error(`No response schema for task "${task}"`);
+
+  const raw = extractJSON(text);
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new AgentResponseError(ERROR_CODES.SCHEMA_VIOLATION, 'Response must be a JSON object');
+  }
+
+  const value = {};
+  const problems = [];
+  for (const [key, field] of Object.entries(schema)) {
+    const missing = raw[key] === undefined || raw[key] === null || raw[key] === '';
+    const coerced = missing ? undefined : coerce(field, raw[key]);
+    if (coerced !== undefined) {
+      value[key] = coerced;
+    } else if (!missing) {
+      problems.push(`"${key}" must be ${describe(field)} (got ${JSON.stringify(raw[key])})`);
+    } else if (field.required) {
+      problems.push(`"${key}" is required (${describe(field)})`);
+    } else {
+      value[key] = field.default;
+    }
+  }
+
+  if (problems.length) {
+    throw new AgentResponseError(ERROR_CODES.SCHEMA_VIOLATION, problems.join('; '), problems);
+  }
+  return value;
+}
+
+/**
+ * Follow-up prompt asking the model to fix its previous reply.
+ */
+function buildRepairPrompt(task, originalPrompt, badText, error) {
+  const fields = Object.entries(SCHEMAS[task])
+    .map(([key, field]) => `"${key}": ${describe(field)}${field.required ? '' : ' (optional)'}`)
+    .join(', ');
+  return `${originalPrompt}
+
+    YOUR PREVIOUS REPLY WAS REJECTED (${error.code}): ${error.message}
+    Previous reply: ${String(badText || '').slice(0, 1000)}
+
+    Reply again with ONLY a JSON object, no prose, with these fields: { ${fields} }
+  `;
+}
+
+module.exports = { ERROR_CODES, AgentResponseError, SCHEMAS, parseResponse, buildRepairPrompt };
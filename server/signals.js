@@ -0,0 +1,83 @@
+/**
+ * AI Railway Simulation - Block Signalling
+ * Every track segment is a block. Single track holds one train in total,
+ * double track holds one train per direction. Trains wait at a red signal until the block clears.
+ */
+
+function findTrack(tracks, fromId, toId) {
+  return tracks.find(t =>
+    (t.station_a_id === fromId && t.station_b_id === toId) ||
+    (t.station_a_id === toId && t.station_b_id === fromId)
+  ) || null;
+}
+
+// 'ab' when travelling from station_a to station_b, 'ba' otherwise
+function directionOf(track, fromId) {
+  return track.station_a_id === fromId ? 'ab' : 'ba';
+}
+
+/**
+ * Maps trackId -> [{ trainId, direction }] for every train currently on a segment.
+ */
+function buildOccupancy(trains, tracks) {
+  const occupancy = new Map(tracks.map(t => [t.id, []]));
+  for (const train of trains) {
+    if (train.status !== 'moving' || !train.target_station_id) continue;
+    const track = findTrack(tracks, train.current_station_id, train.target_station_id);
+    if (!track) continue;
+    occupancy.get(track.id).push({ trainId: train.id, direction: directionOf(track, train.current_station_id) });
+  }
+  return occupancy;
+}
+
+function aspectFor(track, occupants, direction) {
+  if (occupants.length === 0) return 'green';
+  if (!track.double_track) return 'red';
+  return occupants.some(o => o.direction === direction) ? 'red' : 'green';
+}
+
+/**
+ * Whether a train may enter the block between two stations.
+ * Stations without a connecting track have no signal to obey.
+ */
+function canEnter(occupancy, tracks, fromId, toId, trainId = null) {
+  const track = findTrack(tracks, fromId, toId);
+  if (!track) return true;
+  const occupants = (occupancy.get(track.id) || []).filter(o => o.trainId !== trainId);
+  return aspectFor(track, occupants, directionOf(track, fromId)) === 'green';
+}
+
+function occupy(occupancy, tracks, trainId, fromId, toId) {
+  const track = findTrack(tracks, fromId, toId);
+  if (!track) return;
+  occupancy.get(track.id).push({ trainId, direction: directionOf(track, fromId) });
+}
+
+function release(occupancy, trainId) {
+  for (const [trackId, occupants] of occupancy) {
+    occupancy.set(trackId, occupants.filter(o => o.trainId !== trainId));
+  }
+}
+
+/**
+ * Signal state per track, as served by /api/state.
+ */
+function getSignalStates(trains, tracks) {
+  const occupancy = buildOccupancy(trains, tracks);
+  return tracks.map(track => {
+    const occupants = occupancy.get(track.id);
+    const ab = aspectFor(track, occupants, 'ab');
+    const ba = aspectFor(track, occupants, 'ba');
+    return {
+      id: track.id,
+      station_a_id: track.station_a_id,
+      station_b_id: track.station_b_id,
+      occupied_by: occupants.map(o => o.trainId),
+      ab,
+      ba,
+      aspect: occupants.length > 0 ? 'red' : 'green'
+    };
+  });
+}
+
+module.exports = { findTrack, buildOccupancy, canEnter, occupy, release, getSignalStates };
@@ -0,0 +1,349 @@
+/**
+ * AI Railway Simulation - Movement Engine
+ * Server-authoritative train movement. Positions are derived from
+ * departure_time, speed_kmh, acceleration and station coordinates so every client sees the same state.
+ */
+const db = require('./db');
+const logger = require('./logger');
+const routing = require('./routing');
+const signals = require('./signals');
+const { PIXELS_PER_KM, distanceKm } = require('./geometry');
+
+// Constants - REALISTIC PHYSICS (shared with public/js/game.js)
+const SIMULATION_SPEED = 120; // Simulated seconds per real second
+const TICK_RATE = 1000;
+const AUTO_DISPATCH_INTERVAL = 10000;
+
+let tickTimer = null;
+let autoDispatchTimer = null;
+const arrivalListeners = [];
+const departureListeners = [];
+
+// Every leg starts and ends at rest: trains with an acceleration (m/s², used for braking too) run a
+// speed-up / cruise / brake profile, and short legs never reach top speed. Trains without one
+// (bought before rolling-stock classes) cruise at top speed for the whole leg.
+function legProfile(km, speedKmh, acceleration) {
+  const metres = km * 1000;
+  let cruise = speedKmh / 3.6;
+  if (!acceleration) return { metres, cruise, rampSeconds: 0, seconds: metres / cruise };
+  cruise = Math.min(cruise, Math.sqrt(metres * acceleration)); // Peak speed of a leg too short to cruise
+  const rampSeconds = cruise / acceleration;
+  return { metres, cruise, rampSeconds, seconds: metres / cruise + rampSeconds };
+}
+
+// Kilometres covered `seconds` (simulated) into a leg
+function legKmAfter(profile, seconds, acceleration) {
+  const { metres, cruise, rampSeconds, seconds: total } = profile;
+  if (seconds >= total) return metres / 1000;
+  if (!acceleration) return cruise * seconds / 1000;
+  if (seconds < rampSeconds) return acceleration * seconds * seconds / 2 / 1000;
+  const remaining = total - seconds;
+  if (remaining < rampSeconds) return (metres - acceleration * remaining * remaining / 2) / 1000;
+  return (cruise * rampSeconds / 2 + cruise * (seconds - rampSeconds)) / 1000;
+}
+
+// Real milliseconds a train needs to run one leg at simulation speed
+function legDurationMs(km, speedKmh, acceleration = null) {
+  return legProfile(km, speedKmh, acceleration).seconds / SIMULATION_SPEED * 1000;
+}
+
+/**
+ * Real milliseconds a train needs to run a route of station ids, stopping at each one.
+ */
+function routeDurationMs(train, stops, stationsById) {
+  let ms = 0;
+  for (let i = 0; i < stops.length - 1; i++) {
+    const km = distanceKm(stationsById.get(stops[i]), stationsById.get(stops[i + 1]));
+    ms += legDurationMs(km, train.speed_kmh, train.acceleration);
+  }
+  return ms;
+}
+
+/**
+ * Works out where a moving train is right now.
+ * Returns { x, y, progress } where progress runs 0..1 along the current leg (one track segment).
+ */
+function computePosition(train, stationsById, now = Date.now()) {
+  const source = stationsById.get(train.current_station_id);
+  const target = stationsById.get(train.target_station_id);
+  if (!source || !target || !train.departure_time) {
+    return { x: train.x, y: train.y, progress: 0 };
+  }
+
+  const totalKm = distanceKm(source, target);
+  if (totalKm === 0) return { x: target.x, y: target.y, progress: 1 };
+
+  const elapsedSimSeconds = Math.max(0, now - Date.parse(train.departure_time)) / 1000 * SIMULATION_SPEED;
+  const profile = legProfile(totalKm, train.speed_kmh, train.acceleration);
+  const progress = Math.min(1, legKmAfter(profile, elapsedSimSeconds, train.acceleration) / totalKm);
+
+  return {
+    x: source.x + (target.x - source.x) * progress,
+    y: source.y + (target.y - source.y) * progress,
+    progress
+  };
+}
+
+/**
+ * Trains as served by /api/state: moving trains carry their live position and full route.
+ */
+function getLiveTrains(now = Date.now()) {
+  const stationsById = new Map(db.getStations().map(s => [s.id, s]));
+  const routesByTrain = new Map(db.getTrainRoutes().map(r => [r.train_id, r]));
+  return db.getTrains().map(train => {
+    if (train.status === 'idle') return train;
+    // Trains held at a red signal stand at their station until the block clears
+    const { x, y, progress } = train.status === 'moving'
+      ? computePosition(train, stationsById, now)
+      : { x: train.x, y: train.y, progress: 0 };
+    const route = routesByTrain.get(train.id);
+    const destination_station_id = route ? route.stops[route.stops.length - 1] : train.target_station_id;
+    return { ...train, x, y, progress, route: route ? route.stops : null, destination_station_id };
+  });
+}
+
+/**
+ * Registers a callback fired whenever a train reaches a station on its route,
+ * including intermediate stops: fn(train, station, { routeIndex, route, arrivedAt, isFinal }).
+ */
+function onArrival(fn) {
+  arrivalListeners.push(fn);
+}
+
+/**
+ * Registers a callback fired when a dispatched train leaves its origin:
+ * fn(train, station, { route }).
+ */
+function onDeparture(fn) {
+  departureListeners.push(fn);
+}
+
+function notify(listeners, train, station, details) {
+  for (const fn of listeners) {
+    try {
+      fn(train, station, details);
+    } catch (e) {
+      logger.error('SIMULATION Listener Failed:', e.message);
+    }
+  }
+}
+
+function parkTrain(train) {
+  db.updateTrain(train.id, { status: 'idle', target_station_id: null, departure_time: null });
+  db.clearTrainRoute(train.id);
+}
+
+/**
+ * Moves a train past every leg it has completed by `now`.
+ * Each next leg departs at the exact moment the previous one ended, so slow ticks don't lose time.
+ * A red signal on the next block holds the train at the station it just reached.
+ */
+function advanceTrain(train, stationsById, route, blocks, now) {
+  let leg = { ...train };
+  let legIndex = route ? route.leg_index : 0;
+
+  while (true) {
+    const target = stationsById.get(leg.target_station_id);
+    if (!target) return parkTrain(train); // Target vanished (e.g. reset) - park where it stands
+
+    const source = stationsById.get(leg.current_station_id) || leg;
+    const { progress } = computePosition(leg, stationsById, now);
+    if (progress < 1) break;
+
+    const arrivedAt = Date.parse(leg.departure_time) + legDurationMs(distanceKm(source, target), leg.speed_kmh, leg.acceleration);
+    const nextId = route ? route.stops[legIndex + 2] : undefined;
+    signals.release(blocks.occupancy, train.id);
+    notify(arrivalListeners, train, target, {
+      routeIndex: legIndex + 1,
+      route: route ? route.stops : [leg.current_station_id, target.id],
+      arrivedAt,
+      isFinal: nextId === undefined
+    });
+
+    if (nextId === undefined) {
+      db.updateTrain(train.id, {
+        x: target.x,
+        y: target.y,
+        status: 'idle',
+        current_station_id: target.id,
+        target_station_id: null,
+        departure_time: null
+      });
+      db.clearTrainRoute(train.id);
+      db.addEvent('ARRIVAL', `🏁 ${train.name} arrived at ${target.name}`);
+      return;
+    }
+
+    legIndex++;
+    if (!signals.canEnter(blocks.occupancy, blocks.tracks, target.id, nextId)) {
+      db.updateTrain(train.id, {
+        x: target.x,
+        y: target.y,
+        status: 'waiting',
+        current_station_id: target.id,
+        target_station_id: nextId,
+        departure_time: null
+      });
+      db.setTrainRoute(train.id, route.stops, legIndex);
+      db.addEvent('SIGNAL', `🚦 ${train.name} held at red signal at ${target.name}`);
+      return;
+    }
+    signals.occupy(blocks.occupancy, blocks.tracks, train.id, target.id, nextId);
+
+    leg = {
+      ...leg,
+      x: target.x,
+      y: target.y,
+      current_station_id: target.id,
+      target_station_id: nextId,
+      departure_time: new Date(arrivedAt).toISOString()
+    };
+  }
+
+  if (leg.current_station_id !== train.current_station_id) {
+    db.updateTrain(train.id, {
+      x: leg.x,
+      y: leg.y,
+      current_station_id: leg.current_station_id,
+      target_station_id: leg.target_station_id,
+      departure_time: leg.departure_time
+    });
+    db.setTrainRoute(train.id, route.stops, legIndex);
+  }
+}
+
+// Lets a held train depart once its next block shows green
+function releaseWaitingTrain(train, stationsById, blocks, now) {
+  if (!stationsById.has(train.target_station_id)) return parkTrain(train);
+  if (!signals.canEnter(blocks.occupancy, blocks.tracks, train.current_station_id, train.target_station_id, train.id)) return;
+
+  signals.occupy(blocks.occupancy, blocks.tracks, train.id, train.current_station_id, train.target_station_id);
+  db.updateTrain(train.id, { status: 'moving', departure_time: new Date(now).toISOString() });
+}
+
+/**
+ * One simulation step: moves trains along their routes, clears signals and records arrivals.
+ */
+function tick(now = Date.now()) {
+  const stationsById = new Map(db.getStations().map(s => [s.id, s]));
+  const routesByTrain = new Map(db.getTrainRoutes().map(r => [r.train_id, r]));
+  const trains = db.getTrains();
+  const tracks = db.getTracks();
+  const blocks = { tracks, occupancy: signals.buildOccupancy(trains, tracks) };
+
+  for (const train of trains) {
+    if (train.status !== 'moving' || !train.target_station_id) continue;
+    advanceTrain(train, stationsById, routesByTrain.get(train.id), blocks, now);
+  }
+
+  // Held trains get blocks freed this tick, in fleet order
+  for (const train of trains) {
+    if (train.status !== 'waiting') continue;
+    releaseWaitingTrain(train, stationsById, blocks, now);
+  }
+}
+
+/**
+ * Sends a train from its current station to a target station along the track graph,
+ * optionally calling at `via` stations in order on the way.
+ * If the first block is occupied the train is accepted but waits at a red signal.
+ * Returns { route, distanceKm, etaMinutes, held, waypointIndexes } or { error } when no track connects them.
+ */
+function dispatchTrain(train, targetStation, { via = [] } = {}) {
+  const route = routing.findRouteVia(train.current_station_id, [...via, targetStation.id]);
+  if (!route) {
+    return { error: `No track connects ${train.name}'s station to ${targetStation.name}` };
+  }
+  if (route.stops.length < 2) {
+    return { error: `${train.name} is already at ${targetStation.name}` };
+  }
+
+  const tracks = db.getTracks();
+  const stationsById = new Map(db.getStations().map(s => [s.id, s]));
+  const occupancy = signals.buildOccupancy(db.getTrains(), tracks);
+  const held = !signals.canEnter(occupancy, tracks, route.stops[0], route.stops[1], train.id);
+
+  db.setTrainRoute(train.id, route.stops);
+  db.updateTrain(train.id, {
+    target_station_id: route.stops[1],
+    departure_time: held ? null : new Date().toISOString(),
+    status: held ? 'waiting' : 'moving'
+  });
+  notify(departureListeners, train, db.getStation(route.stops[0]), { route: route.stops });
+  const signalNote = held ? ' - held at red signal' : '';
+  db.addEvent('DISPATCH', `🚂 ${train.name} dispatched to ${targetStation.name} (${route.distanceKm.toFixed(1)} km, ${route.stops.length - 1} segments)${signalNote}`);
+
+  return {
+    held,
+    route: route.stops,
+    waypointIndexes: route.waypointIndexes,
+    distanceKm: route.distanceKm,
+    etaMinutes: Math.round(routeDurationMs(train, route.stops, stationsById) * SIMULATION_SPEED / 60000)
+  };
+}
+
+// === AUTO DISPATCH ===
+// Idle trains wander to a random neighbouring station so the network keeps running unattended.
+// Trains assigned to an active timetable service stay put for their next departure.
+function autoDispatch() {
+  const stations = db.getStations();
+  const tracks = db.getTracks();
+  const scheduled = new Set(db.getServices().filter(s => s.active).map(s => s.train_id));
+
+  for (const train of db.getTrains()) {
+    if (train.status !== 'idle' || scheduled.has(train.id)) continue;
+
+    const neighborIds = tracks
+      .filter(tr => tr.station_a_id === train.current_station_id || tr.station_b_id === train.current_station_id)
+      .map(tr => tr.station_a_id === train.current_station_id ? tr.station_b_id : tr.station_a_id);
+    if (neighborIds.length === 0) continue;
+
+    const targetId = neighborIds[Math.floor(Math.random() * neighborIds.length)];
+    const target = stations.find(s => s.id === targetId);
+    if (target) dispatchTrain(train, target);
+  }
+}
+
+function startSimulation() {
+  if (tickTimer) return;
+  logger.info('🚆 SIMULATION: Movement engine STARTED.');
+
+  tickTimer = setInterval(() => {
+    try {
+      tick();
+    } catch (e) {
+      logger.error('SIMULATION Tick Failed:', e.message);
+    }
+  }, TICK_RATE);
+
+  autoDispatchTimer = setInterval(() => {
+    try {
+      autoDispatch();
+    } catch (e) {
+      logger.error('SIMULATION Auto-Dispatch Failed:', e.message);
+    }
+  }, AUTO_DISPATCH_INTERVAL);
+}
+
+function stopSimulation() {
+  clearInterval(tickTimer);
+  clearInterval(autoDispatchTimer);
+  tickTimer = null;
+  autoDispatchTimer = null;
+}
+
+module.exports = {
+  PIXELS_PER_KM,
+  SIMULATION_SPEED,
+  distanceKm,
+  computePosition,
+  legDurationMs,
+  routeDurationMs,
+  getLiveTrains,
+  dispatchTrain,
+  onArrival,
+  onDeparture,
+  tick,
+  startSimulation,
+  stopSimulation
+};
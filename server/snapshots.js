@@ -0,0 +1,197 @@
+/**
+ * AI Railway Simulation - Snapshot Module
+ * Versioned JSON export/import of the network, and named snapshots kept in the database
+ * so an expansion can be rolled back.
+ *
+ * Document format (version 1):
+ * { format: 'airail-network', version: 1, exportedAt,
+ *   stations: [{ id, name, x, y, created_at }],
+ *   tracks: [{ id, station_a_id, station_b_id, double_track }],
+ *   trains: [{ id, name, current_station_id, speed_kmh, capacity, stock_class?, acceleration? }],
+ *   services: [{ id, name, train_id, active, stops: [stationId], departures: ['HH:MM'] }],
+ *   treasury: { balance },
+ *   settings: { key: value },
+ *   events?: [{ id, type, message, timestamp }] }
+ */
+const db = require('./db');
+const logger = require('./logger');
+const finance = require('./finance');
+const providers = require('./providers');
+
+const FORMAT = 'airail-network';
+const VERSION = 1;
+const AUTO_SNAPSHOTS_KEPT = 10;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function buildExport({ includeEvents = false } = {}) {
+  const doc = {
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    stations: db.getStations().map(({ id, name, x, y, created_at }) => ({ id, name, x, y, created_at })),
+    tracks: db.getTracks().map(({ id, station_a_id, station_b_id, double_track }) => ({ id, station_a_id, station_b_id, double_track })),
+    trains: db.getTrains().map(t => ({
+      id: t.id,
+      name: t.name,
+      // A moving train is exported at the station it left
+      current_station_id: t.current_station_id,
+      speed_kmh: t.speed_kmh,
+      capacity: t.capacity,
+      stock_class: t.stock_class,
+      acceleration: t.acceleration
+    })),
+    services: db.getServices().map(({ id, name, train_id, active, stops, departures }) => ({ id, name, train_id, active, stops, departures })),
+    treasury: { balance: db.getBalance() },
+    settings: db.getAllSettings()
+  };
+  if (includeEvents) doc.events = db.getRecentEvents(1000).reverse();
+  return doc;
+}
+
+const isId = (v) => Number.isInteger(v) && v > 0;
+
+function checkUniqueIds(list, label, errors) {
+  const seen = new Set();
+  list.forEach((item, i) => {
+    if (!item || typeof item !== 'object') return errors.push(`${label}[${i}] must be an object`);
+    if (!isId(item.id)) return errors.push(`${label}[${i}].id must be a positive integer`);
+    if (seen.has(item.id)) errors.push(`${label}[${i}].id ${item.id} is duplicated`);
+    seen.add(item.id);
+  });
+  return seen;
+}
+
+/**
+ * Applies the checks POST /api/settings makes to imported settings; unknown keys are refused.
+ */
+function validateSettings(settings, errors) {
+  // Required here: the scheduler's job queue requires agents.js, which requires this module
+  const expansionScheduler = require('./expansion-scheduler');
+  for (const [key, value] of Object.entries(settings)) {
+    if (key === 'auto_enabled') {
+      if (value !== true && value !== false && value !== 'true' && value !== 'false') errors.push('settings.auto_enabled must be true or false');
+    } else if (key.startsWith('llm_')) {
+      const error = providers.validateAssignment(key.slice('llm_'.length), String(value));
+      if (error) errors.push(`settings.${key}: ${error}`);
+    } else if (!key.startsWith('schedule_')) {
+      errors.push(`settings.${key} is not a known setting`);
+    }
+  }
+  const error = expansionScheduler.validateStoredScheduleSettings(settings);
+  if (error) errors.push(`settings: ${error}`);
+}
+
+/**
+ * Checks a document before import. Returns a list of errors (empty when valid).
+ */
+function validateDocument(doc) {
+  if (!doc || typeof doc !== 'object') return ['Document must be a JSON object'];
+  if (doc.format !== FORMAT) return [`format must be "${FORMAT}"`];
+  if (doc.version !== VERSION) return [`Unsupported version ${JSON.stringify(doc.version)} (this server reads version ${VERSION})`];
+
+  const errors = [];
+  for (const key of ['stations', 'tracks', 'trains']) {
+    if (!Array.isArray(doc[key])) errors.push(`${key} must be an array`);
+  }
+  for (const key of ['services', 'events']) {
+    if (doc[key] !== undefined && !Array.isArray(doc[key])) errors.push(`${key} must be an array`);
+  }
+  if (errors.length) return errors;
+  if (doc.stations.length === 0) return ['At least one station is required'];
+
+  const stationIds = checkUniqueIds(doc.stations, 'stations', errors);
+  doc.stations.forEach((s, i) => {
+    if (typeof s?.name !== 'string' || !s.name.trim()) errors.push(`stations[${i}].name is required`);
+    if (!Number.isFinite(s?.x) || !Number.isFinite(s?.y)) errors.push(`stations[${i}] needs numeric x and y`);
+  });
+
+  checkUniqueIds(doc.tracks, 'tracks', errors);
+  doc.tracks.forEach((t, i) => {
+    if (!stationIds.has(t?.station_a_id) || !stationIds.has(t?.station_b_id)) errors.push(`tracks[${i}] references a missing station`);
+    else if (t.station_a_id === t.station_b_id) errors.push(`tracks[${i}] connects station ${t.station_a_id} to itself`);
+  });
+
+  const trainIds = checkUniqueIds(doc.trains, 'trains', errors);
+  const stockClasses = new Set(db.getStockClasses().map(c => c.id));
+  doc.trains.forEach((t, i) => {
+    if (typeof t?.name !== 'string' || !t.name.trim()) errors.push(`trains[${i}].name is required`);
+    if (!stationIds.has(t?.current_station_id)) errors.push(`trains[${i}].current_station_id references a missing station`);
+    if (t?.speed_kmh !== undefined && !(Number.isFinite(t.speed_kmh) && t.speed_kmh > 0)) errors.push(`trains[${i}].speed_kmh must be positive`);
+    // Freight stock carries no passengers
+    if (t?.capacity !== undefined && !(Number.isInteger(t.capacity) && t.capacity >= 0)) errors.push(`trains[${i}].capacity must be a non-negative integer`);
+    if (t?.stock_class != null && !stockClasses.has(t.stock_class)) errors.push(`trains[${i}].stock_class "${t.stock_class}" is not a rolling-stock class`);
+    if (t?.acceleration != null && !(Number.isFinite(t.acceleration) && t.acceleration > 0)) errors.push(`trains[${i}].acceleration must be positive`);
+  });
+
+  const services = doc.services || [];
+  checkUniqueIds(services, 'services', errors);
+  services.forEach((svc, i) => {
+    if (typeof svc?.name !== 'string' || !svc.name.trim()) errors.push(`services[${i}].name is required`);
+    if (!trainIds.has(svc?.train_id)) errors.push(`services[${i}].train_id references a missing train`);
+    if (!Array.isArray(svc?.stops) || svc.stops.length < 2 || !svc.stops.every(id => stationIds.has(id))) {
+      errors.push(`services[${i}].stops must list at least two existing stations`);
+    }
+    if (!Array.isArray(svc?.departures) || !svc.departures.every(d => TIME_PATTERN.test(d))) {
+      errors.push(`services[${i}].departures must be "HH:MM" times`);
+    }
+  });
+
+  if (doc.treasury !== undefined && !Number.isFinite(doc.treasury?.balance)) errors.push('treasury.balance must be a number');
+  if (doc.settings !== undefined) {
+    if (!doc.settings || typeof doc.settings !== 'object' || Array.isArray(doc.settings)) errors.push('settings must be an object');
+    else if (Object.values(doc.settings).some(v => v !== null && typeof v === 'object')) errors.push('settings values must be plain strings, numbers or booleans');
+    else validateSettings(doc.settings, errors);
+  }
+  (doc.events || []).forEach((e, i) => {
+    if (!isId(e?.id) || typeof e.type !== 'string' || typeof e.message !== 'string') errors.push(`events[${i}] needs id, type and message`);
+    else if (!db.EVENT_TYPES.includes(e.type)) errors.push(`events[${i}].type "${e.type}" is not an event type`);
+  });
+
+  return errors;
+}
+
+/**
+ * Validates and loads a document. Returns { success, errors } - the network is untouched on failure.
+ * The treasury is moved to the document's balance with an ADJUSTMENT ledger entry.
+ */
+function importDocument(doc, source = 'import') {
+  const errors = validateDocument(doc);
+  if (errors.length) return { success: false, errors };
+
+  db.replaceNetwork(doc);
+
+  if (doc.treasury) {
+    const delta = doc.treasury.balance - db.getBalance();
+    if (delta !== 0) db.addLedgerEntry('ADJUSTMENT', delta, `Treasury restored from ${source}`);
+  }
+  // The commander's plan described the old network
+  db.updateAgentState({ plan: null, plan_expires_at: null });
+
+  db.addEvent('SYSTEM', `📦 Network loaded from ${source}: ${doc.stations.length} stations, ${doc.tracks.length} tracks, ${doc.trains.length} trains. Treasury ${finance.formatMoney(db.getBalance())}.`);
+  logger.info(`📦 SNAPSHOT: Imported ${source}`);
+  return { success: true, errors: [] };
+}
+
+function createSnapshot(name, { auto = false } = {}) {
+  const id = db.addSnapshot(name, buildExport(), auto);
+  if (auto) {
+    db.pruneAutoSnapshots(AUTO_SNAPSHOTS_KEPT);
+  } else {
+    db.addEvent('SYSTEM', `📦 Snapshot saved: ${name}`);
+  }
+  return db.getSnapshot(id);
+}
+
+function restoreSnapshot(snapshot) {
+  return importDocument(db.getSnapshotDocument(snapshot.id), `snapshot "${snapshot.name}"`);
+}
+
+module.exports = {
+  FORMAT,
+  VERSION,
+  buildExport,
+  validateDocument,
+  importDocument,
+  createSnapshot,
+  restoreSnapshot
+};
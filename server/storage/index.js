@@ -0,0 +1,29 @@
+/**
+ * AI Railway Simulation - Storage Backends
+ * server/db.js talks to a driver, never to a database library directly. Choose one with DB_BACKEND:
+ *   sqljs  (default) in-memory sql.js, exported to disk every few seconds
+ *   sqlite native SQLite file in WAL mode (needs the optional better-sqlite3 package)
+ * DB_PATH sets the database file (default data/simulation.db); point it at a persistent disk in production.
+ *
+ * Driver interface (all synchronous except open and flush):
+ *   all(sql, params) -> [row objects keyed by column name]
+ *   get(sql, params) -> row object or null
+ *   run(sql, params) -> { changes, lastInsertRowid }
+ *   exec(sql)        multi-statement DDL, no parameters
+ *   backup(dest)     copy of the database file
+ *   markDirty(), flush(), flushSync(), startPersistence(), stats()
+ *
+ * Postgres is not offered: the db module's API is synchronous and the simulation loop relies on it.
+ */
+const sqljs = require('./sqljs');
+const sqlite = require('./sqlite');
+
+const BACKENDS = { sqljs, sqlite };
+
+async function openStorage(backend, filePath) {
+  const driver = BACKENDS[backend];
+  if (!driver) throw new Error(`Unknown DB_BACKEND "${backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  return driver.open(filePath);
+}
+
+module.exports = { BACKENDS, openStorage };
@@ -0,0 +1,14 @@
+/**
+ * AI Railway Simulation - Query Parameter Normalisation
+ * Both drivers take the same positional parameters: booleans are stored as 0/1 and undefined as NULL.
+ */
+
+function normalizeParams(params = []) {
+  return params.map(value => {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+  });
+}
+
+module.exports = { normalizeParams };
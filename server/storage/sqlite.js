@@ -0,0 +1,62 @@
+/**
+ * AI Railway Simulation - Native SQLite Storage Backend (DB_BACKEND=sqlite)
+ * File-backed through better-sqlite3 in WAL mode: every write is durable when it returns,
+ * so there is nothing to flush beyond checkpointing the WAL on shutdown.
+ * better-sqlite3 is an optional dependency and is only loaded when this backend is chosen.
+ */
+const fs = require('fs');
+const { normalizeParams } = require('./params');
+
+async function open(filePath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`DB_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+  }
+
+  const existed = fs.existsSync(filePath);
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL'); // Safe with WAL; only the last commits can be lost on power failure
+  db.pragma('foreign_keys = OFF'); // better-sqlite3 enables them by default; sql.js never enforced them
+
+  // Queries come from a small set of strings, so prepared statements are reused
+  const statements = new Map();
+  function prepare(sql) {
+    let stmt = statements.get(sql);
+    if (!stmt) {
+      stmt = db.prepare(sql);
+      statements.set(sql, stmt);
+    }
+    return stmt;
+  }
+
+  const persistence = { checkpoints: 0, lastCheckpointAt: null };
+
+  return {
+    name: 'sqlite',
+    path: filePath,
+    existed,
+    all: (sql, params = []) => prepare(sql).all(normalizeParams(params)),
+    get: (sql, params = []) => prepare(sql).get(normalizeParams(params)) || null,
+    run(sql, params = []) {
+      const { changes, lastInsertRowid } = prepare(sql).run(normalizeParams(params));
+      return { changes, lastInsertRowid: Number(lastInsertRowid) };
+    },
+    exec: (sql) => db.exec(sql),
+    // Consistent copy including anything still in the WAL
+    backup: (dest) => db.prepare('VACUUM INTO ?').run(dest),
+    markDirty() {},
+    async flush() {},
+    flushSync() {
+      db.pragma('wal_checkpoint(TRUNCATE)');
+      persistence.checkpoints++;
+      persistence.lastCheckpointAt = new Date().toISOString();
+    },
+    startPersistence() {},
+    stats: () => ({ dirty: false, journalMode: db.pragma('journal_mode', { simple: true }), ...persistence })
+  };
+}
+
+module.exports = { open };
@@ -0,0 +1,126 @@
+/**
+ * AI Railway Simulation - sql.js Storage Backend (default)
+ * The whole database lives in memory; writes only mark it dirty and a timer exports it
+ * at most once per FLUSH_INTERVAL. Files are written to a temp name and renamed,
+ * so a crash mid-write never leaves a torn database file.
+ */
+const initSqlJs = require('sql.js');
+const fs = require('fs');
+const { normalizeParams } = require('./params');
+
+const FLUSH_INTERVAL = 2000;
+
+// Header bytes 18/19 are the file format write/read versions: 2 means WAL, which sql.js cannot open.
+// A file last written by the sqlite backend is checkpointed on close, so it is safe to read as legacy.
+function fromWalHeader(buffer) {
+  if (buffer.length > 19 && buffer[18] === 2 && buffer[19] === 2) {
+    buffer[18] = 1;
+    buffer[19] = 1;
+  }
+  return buffer;
+}
+
+async function open(filePath) {
+  const SQL = await initSqlJs();
+  const existed = fs.existsSync(filePath);
+  const db = existed ? new SQL.Database(fromWalHeader(fs.readFileSync(filePath))) : new SQL.Database();
+
+  let dirty = false;
+  let flushing = false;
+  let flushTimer = null;
+  let tempCounter = 0;
+  const persistence = { flushes: 0, lastFlushAt: null, lastFlushMs: null, lastError: null };
+
+  function all(sql, params = []) {
+    const stmt = db.prepare(sql);
+    try {
+      stmt.bind(normalizeParams(params));
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  function run(sql, params = []) {
+    db.run(sql, normalizeParams(params));
+    const changes = db.getRowsModified();
+    // Read the id straight after the statement: db.export() (run by the flush timer) resets last_insert_rowid()
+    const lastInsertRowid = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    return { changes, lastInsertRowid };
+  }
+
+  function tempPath() {
+    tempCounter++;
+    return `${filePath}.${process.pid}.${tempCounter}.tmp`;
+  }
+
+  function exportDatabase() {
+    const started = Date.now();
+    const buffer = Buffer.from(db.export());
+    dirty = false;
+    return { buffer, started };
+  }
+
+  function recordFlush(started) {
+    persistence.flushes++;
+    persistence.lastFlushAt = new Date().toISOString();
+    persistence.lastFlushMs = Date.now() - started;
+    persistence.lastError = null;
+  }
+
+  // Overlapping calls are skipped; the next tick catches up
+  async function flush() {
+    if (!dirty || flushing) return;
+    flushing = true;
+    const { buffer, started } = exportDatabase();
+    const tmp = tempPath();
+    try {
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, filePath);
+      recordFlush(started);
+    } catch (error) {
+      dirty = true; // Retry on the next tick
+      persistence.lastError = error.message;
+      console.error('💾 DB flush failed:', error.message);
+      fs.promises.unlink(tmp).catch(() => {});
+    } finally {
+      flushing = false;
+    }
+  }
+
+  function flushSync() {
+    if (!dirty) return;
+    const { buffer, started } = exportDatabase();
+    const tmp = tempPath();
+    fs.writeFileSync(tmp, buffer);
+    fs.renameSync(tmp, filePath);
+    recordFlush(started);
+  }
+
+  return {
+    name: 'sqljs',
+    path: filePath,
+    existed,
+    all,
+    get: (sql, params) => all(sql, params)[0] || null,
+    run,
+    exec: (sql) => db.exec(sql),
+    // The file on disk is the last flushed state, which is what a pre-migration backup wants
+    backup: (dest) => fs.copyFileSync(filePath, dest),
+    markDirty() {
+      dirty = true;
+    },
+    flush,
+    flushSync,
+    startPersistence() {
+      if (flushTimer) return;
+      flushTimer = setInterval(flush, FLUSH_INTERVAL);
+      flushTimer.unref(); // Never keeps the process alive on its own
+    },
+    stats: () => ({ dirty, flushIntervalMs: FLUSH_INTERVAL, ...persistence })
+  };
+}
+
+module.exports = { open };
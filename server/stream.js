@@ -0,0 +1,164 @@
+/**
+ * AI Railway Simulation - Live Stream Module
+ * Pushes incremental state diffs to connected browsers over Server-Sent Events.
+ */
+const db = require('./db');
+const simulation = require('./simulation');
+const signals = require('./signals');
+const passengers = require('./passengers');
+const logger = require('./logger');
+
+const DIFF_INTERVAL = 1000;
+const HEARTBEAT_INTERVAL = 25000; // Keep Render's proxy from closing idle streams
+const EVENT_WINDOW = 30;
+
+const clients = new Set();
+let diffTimer = null;
+let heartbeatTimer = null;
+
+// Last state broadcast to clients, keyed for cheap comparisons
+let lastSent = null;
+
+function buildSnapshot() {
+  const tracks = db.getTracks();
+  const onboard = passengers.getOnboardCounts();
+  return {
+    stations: db.getStations(),
+    trains: simulation.getLiveTrains().map(t => ({ ...t, passengers: onboard.get(t.id) || 0 })),
+    tracks,
+    signals: signals.getSignalStates(db.getTrains(), tracks),
+    balance: db.getBalance(),
+    events: db.getRecentEvents(EVENT_WINDOW)
+  };
+}
+
+// Only fields that change the picture count - live x/y of moving trains are interpolated client-side
+function stationKey(s) { return `${s.name}|${s.x}|${s.y}`; }
+function trackKey(t) { return `${t.station_a_id}|${t.station_b_id}|${t.double_track}`; }
+function signalKey(s) { return `${s.ab}|${s.ba}|${s.occupied_by.join(',')}`; }
+function trainKey(t) {
+  return [t.name, t.status, t.current_station_id, t.target_station_id, t.departure_time, t.speed_kmh, t.passengers].join('|');
+}
+
+function index(items, keyFn) {
+  return new Map(items.map(item => [item.id, keyFn(item)]));
+}
+
+function remember(snapshot) {
+  lastSent = {
+    stations: index(snapshot.stations, stationKey),
+    tracks: index(snapshot.tracks, trackKey),
+    trains: index(snapshot.trains, trainKey),
+    signals: index(snapshot.signals, signalKey),
+    balance: snapshot.balance,
+    lastEventId: snapshot.events.reduce((max, e) => Math.max(max, e.id), 0)
+  };
+}
+
+function changed(items, previous, keyFn) {
+  return items.filter(item => previous.get(item.id) !== keyFn(item));
+}
+
+function removed(items, previous) {
+  const current = new Set(items.map(item => item.id));
+  return [...previous.keys()].filter(id => !current.has(id));
+}
+
+/**
+ * Compares the current state with what was last broadcast.
+ * Returns null when nothing changed, or 'reset' when history went backwards.
+ */
+function computeDiff(snapshot) {
+  const newestEventId = snapshot.events.reduce((max, e) => Math.max(max, e.id), 0);
+  if (newestEventId < lastSent.lastEventId) return 'reset';
+
+  const diff = {
+    stations: changed(snapshot.stations, lastSent.stations, stationKey),
+    tracks: changed(snapshot.tracks, lastSent.tracks, trackKey),
+    trains: changed(snapshot.trains, lastSent.trains, trainKey),
+    signals: changed(snapshot.signals, lastSent.signals, signalKey),
+    events: snapshot.events.filter(e => e.id > lastSent.lastEventId),
+    balance: snapshot.balance !== lastSent.balance ? snapshot.balance : undefined,
+    removed: {
+      stations: removed(snapshot.stations, lastSent.stations),
+      tracks: removed(snapshot.tracks, lastSent.tracks),
+      trains: removed(snapshot.trains, lastSent.trains)
+    }
+  };
+
+  const isEmpty = ['stations', 'tracks', 'trains', 'signals', 'events'].every(k => diff[k].length === 0) &&
+    diff.balance === undefined &&
+    Object.values(diff.removed).every(list => list.length === 0);
+  return isEmpty ? null : diff;
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(event, data) {
+  for (const res of clients) send(res, event, data);
+}
+
+function pushDiffs() {
+  if (clients.size === 0) return;
+
+  const snapshot = buildSnapshot();
+  const diff = computeDiff(snapshot);
+  remember(snapshot);
+
+  if (diff === 'reset') broadcast('snapshot', snapshot);
+  else if (diff) broadcast('diff', diff);
+}
+
+/**
+ * Express handler for GET /api/stream.
+ */
+function handleStream(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Diffs are upserts keyed by id, so a snapshot slightly newer than lastSent is harmless
+  const snapshot = buildSnapshot();
+  if (clients.size === 0) remember(snapshot);
+  send(res, 'snapshot', snapshot);
+
+  clients.add(res);
+  logger.info(`📡 STREAM: Client connected (${clients.size} active).`);
+
+  req.on('close', () => {
+    clients.delete(res);
+    logger.info(`📡 STREAM: Client disconnected (${clients.size} active).`);
+  });
+}
+
+function startStream() {
+  if (diffTimer) return;
+  diffTimer = setInterval(() => {
+    try {
+      pushDiffs();
+    } catch (e) {
+      logger.error('STREAM Diff Failed:', e.message);
+    }
+  }, DIFF_INTERVAL);
+
+  heartbeatTimer = setInterval(() => {
+    for (const res of clients) res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+}
+
+function stopStream() {
+  clearInterval(diffTimer);
+  clearInterval(heartbeatTimer);
+  diffTimer = null;
+  heartbeatTimer = null;
+  for (const res of clients) res.end();
+  clients.clear();
+}
+
+module.exports = { buildSnapshot, handleStream, startStream, stopStream };
@@ -0,0 +1,218 @@
+/**
+ * AI Railway Simulation - Timetable Module
+ * Recurring services: a train, an ordered stop list and daily UTC departure times.
+ * The scheduler dispatches each departure and records planned vs actual arrivals.
+ */
+const db = require('./db');
+const logger = require('./logger');
+const simulation = require('./simulation');
+const routing = require('./routing');
+
+const SCHEDULER_INTERVAL = 2000; // 4 simulated minutes - departures leave inside the on-time tolerance
+const START_GRACE_MS = 5 * 60 * 1000; // Departures missed by more than this (e.g. during downtime) are not run late
+const ON_TIME_TOLERANCE_MIN = 5; // Simulated minutes
+const PUNCTUALITY_WINDOW = 50; // Most recent runs counted per service
+
+let schedulerTimer = null;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Delays are reported in simulated minutes, the same unit as dispatch ETAs
+function delayMinutes(plannedIso, actualIso) {
+  const realMs = Date.parse(actualIso) - Date.parse(plannedIso);
+  return realMs / 1000 * simulation.SIMULATION_SPEED / 60;
+}
+
+/**
+ * Validates a create/update payload. Returns an error message, or null when valid.
+ * With `partial`, only the fields present are checked.
+ */
+function validateService(input, { partial = false } = {}) {
+  const { name, trainId, stops, departures } = input;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  }
+  if (!partial || trainId !== undefined) {
+    if (!db.getTrain(trainId)) return `Train ${trainId} not found`;
+  }
+  if (!partial || stops !== undefined) {
+    if (!Array.isArray(stops) || stops.length < 2) return 'stops must list at least two station ids';
+    for (const id of stops) {
+      if (!db.getStation(id)) return `Station ${id} not found`;
+    }
+    if (!routing.findRouteVia(stops[0], stops.slice(1))) return 'stops are not connected by track';
+  }
+  if (!partial || departures !== undefined) {
+    if (!Array.isArray(departures) || departures.length === 0) return 'departures must list at least one HH:MM time';
+    const bad = departures.find(t => !TIME_PATTERN.test(t));
+    if (bad !== undefined) return `Invalid departure time "${bad}" (expected HH:MM UTC)`;
+  }
+  return null;
+}
+
+/**
+ * Punctuality over the most recent runs of a service.
+ */
+function getPunctuality(serviceId) {
+  const runs = db.getServiceRuns(serviceId, PUNCTUALITY_WINDOW);
+  const arrivals = db.getServiceArrivals(runs.map(r => r.id)).filter(a => a.actual_arrival);
+  const delays = arrivals.map(a => delayMinutes(a.planned_arrival, a.actual_arrival));
+  const onTime = delays.filter(d => d <= ON_TIME_TOLERANCE_MIN).length;
+
+  return {
+    runs: runs.length,
+    completed: runs.filter(r => r.status === 'completed').length,
+    skipped: runs.filter(r => r.status === 'skipped').length,
+    arrivalsMeasured: delays.length,
+    onTimePercent: delays.length ? Math.round(onTime / delays.length * 100) : null,
+    averageDelayMinutes: delays.length ? Number((delays.reduce((a, b) => a + b, 0) / delays.length).toFixed(1)) : null
+  };
+}
+
+/**
+ * Full service view for the API: definition, punctuality and recent runs with their calls.
+ */
+function describeService(service, { runLimit = 10 } = {}) {
+  const runs = db.getServiceRuns(service.id, runLimit);
+  const arrivals = db.getServiceArrivals(runs.map(r => r.id));
+  return {
+    ...service,
+    punctuality: getPunctuality(service.id),
+    runs: runs.map(run => ({
+      ...run,
+      calls: arrivals.filter(a => a.run_id === run.id).map(a => ({
+        ...a,
+        delay_minutes: a.actual_arrival ? Number(delayMinutes(a.planned_arrival, a.actual_arrival).toFixed(1)) : null
+      }))
+    }))
+  };
+}
+
+// The occurrence of an 'HH:MM' departure on the UTC day of `now`, or `dayOffset` days from it
+function occurrenceOn(time, now, dayOffset = 0) {
+  const [, h, m] = time.match(TIME_PATTERN);
+  const d = new Date(now);
+  d.setUTCHours(Number(h), Number(m), 0, 0);
+  d.setUTCDate(d.getUTCDate() + dayOffset);
+  return d;
+}
+
+function skipRun(service, trainId, plannedIso, reason) {
+  db.addServiceRun(service.id, trainId, plannedIso, 'skipped', reason);
+  db.addEvent('TIMETABLE', `🕒 ${service.name} ${plannedIso.substring(11, 16)} cancelled: ${reason}`);
+  logger.warn(`🕒 TIMETABLE: ${service.name} skipped - ${reason}`);
+}
+
+/**
+ * Dispatches one departure of a service and stores its planned calls.
+ */
+function startRun(service, planned) {
+  const plannedIso = planned.toISOString();
+  const train = db.getTrain(service.train_id);
+  if (!train) return skipRun(service, service.train_id, plannedIso, 'assigned train no longer exists');
+  if (train.status !== 'idle') return skipRun(service, train.id, plannedIso, `${train.name} is still in service`);
+
+  const stations = service.stops.map(id => db.getStation(id));
+  if (stations.some(s => !s)) return skipRun(service, train.id, plannedIso, 'a stop no longer exists');
+
+  const destination = stations[stations.length - 1];
+  const result = simulation.dispatchTrain(train, destination, { via: service.stops.slice(0, -1) });
+  if (result.error) return skipRun(service, train.id, plannedIso, result.error);
+
+  // Planned calls: travel time from the origin along the routed path, stopping at every station
+  const originIndex = result.waypointIndexes[0];
+  const now = new Date().toISOString();
+  const stationsById = new Map(db.getStations().map(s => [s.id, s]));
+  const arrivals = result.waypointIndexes.map((routeIndex, seq) => {
+    const travelMs = simulation.routeDurationMs(train, result.route.slice(originIndex, routeIndex + 1), stationsById);
+    return {
+      seq,
+      station_id: service.stops[seq],
+      route_index: routeIndex,
+      planned_arrival: new Date(planned.getTime() + travelMs).toISOString(),
+      // Already standing at the origin: the call happens at dispatch
+      actual_arrival: routeIndex === 0 && originIndex === 0 ? now : null
+    };
+  });
+
+  // A train serves one run at a time - anything still open was abandoned
+  db.getRunningRuns().filter(r => r.train_id === train.id).forEach(r => {
+    db.updateServiceRun(r.id, 'incomplete', 'superseded by a later departure');
+  });
+
+  db.addServiceRun(service.id, train.id, plannedIso, 'running', null, arrivals);
+  db.addEvent('TIMETABLE', `🕒 ${service.name} ${plannedIso.substring(11, 16)} departing with ${train.name}`);
+}
+
+/**
+ * Starts every active service departure that has come due and has no run yet.
+ */
+function runDueServices(now = Date.now()) {
+  for (const service of db.getServices()) {
+    if (!service.active) continue;
+    for (const time of service.departures) {
+      // Just after midnight, a departure from late yesterday may still be due
+      for (const planned of [occurrenceOn(time, now, -1), occurrenceOn(time, now)]) {
+        const lateness = now - planned.getTime();
+        if (lateness < 0 || lateness > START_GRACE_MS) continue;
+        if (db.findServiceRun(service.id, planned.toISOString())) continue;
+        startRun(service, planned);
+      }
+    }
+  }
+}
+
+// Records actual calls as trains reach the stations of their running service
+function handleArrival(train, station, { routeIndex, arrivedAt, isFinal }) {
+  const run = db.getRunningRuns().find(r => r.train_id === train.id);
+  if (!run) return;
+
+  const arrivals = db.getServiceArrivals([run.id]);
+  const call = arrivals.find(a => a.route_index === routeIndex && !a.actual_arrival);
+  const actualIso = new Date(arrivedAt).toISOString();
+  if (call) {
+    db.recordServiceArrival(run.id, call.seq, actualIso);
+    call.actual_arrival = actualIso;
+  }
+
+  const pending = arrivals.filter(a => !a.actual_arrival);
+  if (pending.length === 0 && call) {
+    const service = db.getService(run.service_id);
+    const delay = delayMinutes(call.planned_arrival, actualIso);
+    const verdict = delay <= ON_TIME_TOLERANCE_MIN ? 'on time' : `${Math.round(delay)} min late`;
+    db.updateServiceRun(run.id, 'completed');
+    db.addEvent('TIMETABLE', `🕒 ${service ? service.name : 'Service'} terminated at ${station.name} ${verdict}`);
+  } else if (isFinal) {
+    // Route finished without calling everywhere (e.g. the train was re-dispatched by hand)
+    db.updateServiceRun(run.id, 'incomplete', `missed ${pending.length} call(s)`);
+  }
+}
+
+function startScheduler() {
+  if (schedulerTimer) return;
+  simulation.onArrival(handleArrival);
+  logger.info('🕒 TIMETABLE: Scheduler STARTED.');
+
+  schedulerTimer = setInterval(() => {
+    try {
+      runDueServices();
+    } catch (e) {
+      logger.error('TIMETABLE Scheduler Failed:', e.message);
+    }
+  }, SCHEDULER_INTERVAL);
+}
+
+function stopScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+module.exports = {
+  validateService,
+  describeService,
+  getPunctuality,
+  runDueServices,
+  startScheduler,
+  stopScheduler
+};
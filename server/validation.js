@@ -0,0 +1,238 @@
+/**
+ * AI Railway Simulation - Request Validation and Error Model
+ * Every route declares the params, query and body fields it accepts; anything else is refused
+ * before a handler runs. Every failure leaves the API as { error: { code, message, details? } }.
+ * Type checks live here; rules that need the database (name taken, station exists) stay with
+ * the module that owns the data (network.js, fleet.js, timetable.js ...).
+ */
+const db = require('./db');
+const logger = require('./logger');
+
+// Default error code for each HTTP status; handlers may pass a more specific one
+const ERROR_CODES = {
+  400: 'VALIDATION_ERROR',
+  401: 'UNAUTHORIZED',
+  402: 'INSUFFICIENT_FUNDS',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR'
+};
+
+function sendError(res, status, message, { code, details } = {}) {
+  const error = { code: code || ERROR_CODES[status] || 'ERROR', message };
+  if (details !== undefined) error.details = details;
+  return res.status(status).json({ error });
+}
+
+/**
+ * Sends a domain module's refusal ({ error, status, code?, ...details }, e.g. from network.deleteStation).
+ * Extra fields such as the trains in the way become error.details; a `success: false` flag is dropped.
+ */
+function sendFailure(res, { error, status = 400, code, success, ...details }) {
+  return sendError(res, status, error, { code, details: Object.keys(details).length ? details : undefined });
+}
+
+// ============== FIELD TYPES ==============
+// string (maxLength), number, integer (min), id, boolean, enum (values), array (items, minItems), object
+
+const id = { type: 'id' };
+const name = { type: 'string', maxLength: 100 };
+const paging = { limit: { type: 'integer', min: 1 }, offset: { type: 'integer', min: 0 } };
+const required = (field) => ({ ...field, required: true });
+
+const SCHEMAS = {
+  updateSettings: {
+    body: { autoEnabled: { type: 'boolean' }, schedule: { type: 'object' }, agents: { type: 'object' } }
+  },
+  dispatchTrain: {
+    params: { id: required(id) },
+    body: { targetStationId: required(id) }
+  },
+  overrideTrain: {
+    params: { id: required(id) },
+    body: {
+      x: { type: 'number' },
+      y: { type: 'number' },
+      status: { type: 'enum', values: db.TRAIN_STATUSES },
+      current_station_id: id
+    }
+  },
+  addEvent: {
+    body: {
+      type: required({ type: 'enum', values: db.MANUAL_EVENT_TYPES }),
+      message: required({ type: 'string', maxLength: 500 })
+    }
+  },
+  login: { body: { token: required({ type: 'string', maxLength: 200 }) } },
+  createToken: {
+    body: { name: required({ type: 'string', maxLength: 40 }), role: required({ type: 'enum', values: db.ROLES }) }
+  },
+  byId: { params: { id: required(id) } },
+  listPage: { query: paging },
+  createService: {
+    body: {
+      name: required(name),
+      trainId: required(id),
+      stops: required({ type: 'array', items: id, minItems: 2 }),
+      departures: required({ type: 'array', items: { type: 'string', maxLength: 5 }, minItems: 1 }),
+      active: { type: 'boolean' }
+    }
+  },
+  updateService: {
+    params: { id: required(id) },
+    body: {
+      name,
+      trainId: id,
+      stops: { type: 'array', items: id, minItems: 2 },
+      departures: { type: 'array', items: { type: 'string', maxLength: 5 }, minItems: 1 },
+      active: { type: 'boolean' }
+    }
+  },
+  createStation: {
+    body: { name: required(name), x: required({ type: 'number' }), y: required({ type: 'number' }) }
+  },
+  updateStation: {
+    params: { id: required(id) },
+    body: { name, x: { type: 'number' }, y: { type: 'number' } }
+  },
+  deleteStation: {
+    params: { id: required(id) },
+    query: { relocateTo: id }
+  },
+  createTrack: {
+    body: { stationAId: required(id), stationBId: required(id), doubleTrack: { type: 'boolean' } }
+  },
+  updateTrack: {
+    params: { id: required(id) },
+    body: { doubleTrack: required({ type: 'boolean' }) }
+  },
+  buyTrain: {
+    body: { stockClass: { type: 'string', maxLength: 40 }, stationId: id, name: { type: 'string', maxLength: 40 } }
+  },
+  updateFleetTrain: {
+    params: { id: required(id) },
+    body: { name: { type: 'string', maxLength: 40 }, stationId: id }
+  },
+  aiPlan: { body: { action: required({ type: 'enum', values: ['replan', 'expire'] }) } },
+  exportNetwork: { query: { events: { type: 'boolean' } } },
+  // The document is checked in full by snapshots.validateDocument
+  importNetwork: { body: 'any' },
+  createSnapshot: { body: { name: required(name) } },
+  // Snapshots are addressed by id (all digits) or by name
+  snapshot: { params: { id: required({ type: 'string', maxLength: 100 }) } },
+  noBody: { body: {} }
+};
+
+function describe(field) {
+  switch (field.type) {
+    case 'enum': return `one of ${field.values.join(', ')}`;
+    case 'id': return 'a positive integer id';
+    case 'array': return `an array of ${describe(field.items)} values`;
+    case 'integer': return 'an integer';
+    default: return `a ${field.type}`;
+  }
+}
+
+// Returns a problem description, or null when the value fits
+function checkField(key, field, value) {
+  const fail = () => `"${key}" must be ${describe(field)}`;
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail();
+      if (field.maxLength && value.length > field.maxLength) return `"${key}" must be at most ${field.maxLength} characters`;
+      return null;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : fail();
+    case 'integer':
+      if (!Number.isInteger(value)) return fail();
+      return field.min !== undefined && value < field.min ? `"${key}" must be at least ${field.min}` : null;
+    case 'id':
+      return Number.isInteger(value) && value > 0 ? null : fail();
+    case 'boolean':
+      return typeof value === 'boolean' ? null : fail();
+    case 'enum':
+      return field.values.includes(value) ? null : fail();
+    case 'array':
+      if (!Array.isArray(value)) return fail();
+      if (field.minItems && value.length < field.minItems) return `"${key}" needs at least ${field.minItems} item(s)`;
+      return value.map((item, i) => checkField(`${key}[${i}]`, field.items, item)).find(Boolean) || null;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : fail();
+    default:
+      return fail();
+  }
+}
+
+// URL parts arrive as strings: numbers and booleans are read from their text
+function fromUrl(field, text) {
+  if (['id', 'integer', 'number'].includes(field.type)) return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+  if (field.type === 'boolean') return text === 'true' ? true : text === 'false' ? false : text;
+  return text;
+}
+
+function checkPart(part, schema, input, { fromUrlText = false } = {}) {
+  if (schema === 'any') return [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return [`Request ${part} must be a JSON object`];
+
+  const problems = Object.keys(input).filter(key => !schema[key]).map(key => `Unknown ${part} field "${key}"`);
+  for (const [key, field] of Object.entries(schema)) {
+    const raw = input[key];
+    if (raw === undefined) {
+      if (field.required) problems.push(`"${key}" is required (${describe(field)})`);
+      continue;
+    }
+    const problem = checkField(key, field, fromUrlText ? fromUrl(field, raw) : raw);
+    if (problem) problems.push(problem);
+  }
+  return problems;
+}
+
+/**
+ * Route middleware: checks params, query and body against SCHEMAS[name] and answers 400 on any problem.
+ */
+function validate(name) {
+  const schema = SCHEMAS[name];
+  if (!schema) throw new Error(`No request schema named "${name}"`);
+
+  return (req, res, next) => {
+    const problems = [
+      ...checkPart('params', schema.params || {}, req.params, { fromUrlText: true }),
+      ...checkPart('query', schema.query || {}, req.query, { fromUrlText: true }),
+      ...checkPart('body', schema.body || {}, req.body ?? {})
+    ];
+    if (problems.length) return sendError(res, 400, problems.join('; '), { details: problems });
+    next();
+  };
+}
+
+// Unknown /api paths answer in the same shape as everything else
+function notFound(req, res) {
+  sendError(res, 404, `No route for ${req.method} ${req.baseUrl}${req.path}`);
+}
+
+/**
+ * Last middleware: turns thrown errors (including malformed JSON bodies) into the error model.
+ * Express recognises error handlers by their four arguments, so `next` stays in the signature.
+ */
+function errorHandler(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') return sendError(res, 400, `Malformed JSON body: ${err.message}`, { code: 'INVALID_JSON' });
+  if (err.type === 'entity.too.large') return sendError(res, 413, 'Request body is too large');
+
+  logger.error(`API ${req.method} ${req.originalUrl} Failed:`, err.message);
+  sendError(res, 500, 'Internal server error');
+}
+
+module.exports = {
+  ERROR_CODES,
+  SCHEMAS,
+  sendError,
+  sendFailure,
+  validate,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,91 @@
+/**
+ * AI Railway Simulation - Proposal Validator
+ * Deterministic geometry and naming rules for AI build proposals.
+ * The spacing, link-length and crossing rules also apply to operator edits (see network.js).
+ * Runs before the LLM surveyor (cheap rejection with concrete feedback) and again right before execution.
+ */
+const { distanceKm, segmentsCross } = require('./geometry');
+
+const MIN_STATION_SPACING_KM = 20;
+const MIN_LINK_KM = 50;
+const MAX_LINK_KM = 300;
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * The nearest station closer than MIN_STATION_SPACING_KM to `site`, as { station, km }, or null.
+ */
+function tooCloseTo(site, stations) {
+  return stations
+    .map(s => ({ station: s, km: distanceKm(s, site) }))
+    .filter(({ km }) => km < MIN_STATION_SPACING_KM)
+    .sort((a, b) => a.km - b.km)[0] || null;
+}
+
+/**
+ * The tracks a new line from-to would cross without a junction, as [{ track, a, b }].
+ */
+function crossedTracks(from, to, stations, tracks) {
+  const byId = new Map(stations.map(s => [s.id, s]));
+  const crossed = [];
+  for (const track of tracks) {
+    const a = byId.get(track.station_a_id);
+    const b = byId.get(track.station_b_id);
+    if (!a || !b) continue;
+    if (segmentsCross(from, to, a, b)) crossed.push({ track, a, b });
+  }
+  return crossed;
+}
+
+/**
+ * Checks a proposal { name, x, y, connectToId } against the current network.
+ * Returns { valid, errors, proposal } where proposal carries numeric x, y and connectToId.
+ */
+function validateProposal(proposal, stations, tracks) {
+  const errors = [];
+  const name = typeof proposal?.name === 'string' ? proposal.name.trim() : '';
+  const x = toNumber(proposal?.x);
+  const y = toNumber(proposal?.y);
+  const connectToId = toNumber(proposal?.connectToId);
+  const normalized = { ...proposal, name, x, y, connectToId };
+
+  if (!name) {
+    errors.push('Station name is missing.');
+  } else if (stations.some(s => s.name.trim().toLowerCase() === name.toLowerCase())) {
+    errors.push(`Station name "${name}" is already taken; choose a unique name.`);
+  }
+
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    errors.push(`Coordinates must be numbers (got x=${JSON.stringify(proposal?.x)}, y=${JSON.stringify(proposal?.y)}).`);
+    return { valid: false, errors, proposal: normalized };
+  }
+
+  const site = { x, y };
+  const tooClose = tooCloseTo(site, stations);
+  if (tooClose) {
+    errors.push(`Too close to ${tooClose.station.name} (#${tooClose.station.id}): ${tooClose.km.toFixed(1)} km, minimum spacing is ${MIN_STATION_SPACING_KM} km.`);
+  }
+
+  const hub = stations.find(s => s.id === connectToId);
+  if (!hub) {
+    errors.push(`connectToId ${JSON.stringify(proposal?.connectToId)} is not an existing station id.`);
+    return { valid: false, errors, proposal: normalized };
+  }
+
+  const linkKm = distanceKm(hub, site);
+  if (linkKm < MIN_LINK_KM || linkKm > MAX_LINK_KM) {
+    errors.push(`Link to ${hub.name} is ${linkKm.toFixed(1)} km; it must be between ${MIN_LINK_KM} and ${MAX_LINK_KM} km.`);
+  }
+
+  for (const { a, b } of crossedTracks(hub, site, stations, tracks)) {
+    errors.push(`New track from ${hub.name} would cross the existing ${a.name} - ${b.name} line without a junction.`);
+  }
+
+  return { valid: errors.length === 0, errors, proposal: normalized };
+}
+
+module.exports = { MIN_STATION_SPACING_KM, MIN_LINK_KM, MAX_LINK_KM, tooCloseTo, crossedTracks, validateProposal };